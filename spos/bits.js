@@ -0,0 +1,249 @@
+/*
+SPOS - Small Payload Object Serializer
+
+MIT License
+
+Copyright (c) 2020 [Luiz Eduardo Amaral](luizamaral306@gmail.com)
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+const UINT32 = 0x100000000;
+
+/*
+ * Appends bits MSB first to a growable Uint8Array.
+ */
+class BitWriter {
+  constructor(capacity = 32) {
+    this.buffer = new Uint8Array(Math.max(1, capacity));
+    this.length = 0;
+  }
+
+  ensure(bits) {
+    const needed = (this.length + bits + 7) >> 3;
+    if (needed <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < needed) size *= 2;
+    const buffer = new Uint8Array(size);
+    buffer.set(this.buffer);
+    this.buffer = buffer;
+  }
+
+  /*
+   * Writes an unsigned integer with up to 32 bits.
+   */
+  _writeUint32(value, bits) {
+    while (bits > 0) {
+      const free = 8 - (this.length & 7);
+      const n = free < bits ? free : bits;
+      const chunk = (value >>> (bits - n)) & ((1 << n) - 1);
+      this.buffer[this.length >> 3] |= chunk << (free - n);
+      this.length += n;
+      bits -= n;
+    }
+  }
+
+  /*
+   * Writes an unsigned integer with up to 53 bits.
+   * @param {integer} value The value to write, must fit in bits.
+   * @param {integer} bits The number of bits to use.
+   */
+  writeUint(value, bits) {
+    this.ensure(bits);
+    if (bits > 32) {
+      this._writeUint32(Math.floor(value / UINT32), bits - 32);
+      this._writeUint32(value % UINT32, 32);
+    } else {
+      this._writeUint32(value, bits);
+    }
+    return this;
+  }
+
+  /*
+   * Writes the same bit repeatedly.
+   * @param {integer} bits The number of bits to write.
+   * @param {integer} bit 0 or 1.
+   */
+  fill(bits, bit = 0) {
+    this.ensure(bits);
+    if (bit) {
+      while (bits > 0) {
+        const n = bits > 32 ? 32 : bits;
+        this._writeUint32(0xffffffff, n);
+        bits -= n;
+      }
+    } else {
+      this.length += bits;
+    }
+    return this;
+  }
+
+  /*
+   * Writes a binary string such as "0101".
+   */
+  writeBin(bin) {
+    this.ensure(bin.length);
+    for (let i = 0; i < bin.length; i += 32) {
+      const chunk = bin.substring(i, i + 32);
+      this._writeUint32(parseInt(chunk, 2), chunk.length);
+    }
+    return this;
+  }
+
+  /*
+   * Writes the first bits of an Uint8Array.
+   */
+  writeBytes(bytes, bits = bytes.length * 8) {
+    this.ensure(bits);
+    let i = 0;
+    for (; bits >= 8; bits -= 8) this._writeUint32(bytes[i++], 8);
+    if (bits > 0) this._writeUint32(bytes[i] >> (8 - bits), bits);
+    return this;
+  }
+
+  /*
+   * Pads the message with zeros up to the next byte boundary.
+   */
+  padToByte() {
+    return this.fill((8 - (this.length & 7)) & 7, 0);
+  }
+
+  toBytes() {
+    return this.buffer.slice(0, (this.length + 7) >> 3);
+  }
+
+  toBin() {
+    let bin = "";
+    const bytes = (this.length + 7) >> 3;
+    for (let i = 0; i < bytes; i++)
+      bin += this.buffer[i].toString(2).padStart(8, "0");
+    return bin.slice(0, this.length);
+  }
+
+  toHex() {
+    let hex = "";
+    const bytes = (this.length + 7) >> 3;
+    for (let i = 0; i < bytes; i++)
+      hex += this.buffer[i].toString(16).padStart(2, "0");
+    return hex;
+  }
+}
+
+/*
+ * Reads bits MSB first from an Uint8Array.
+ */
+class BitReader {
+  /*
+   * @param {Uint8Array} bytes The message.
+   * @param {integer} length Number of readable bits.
+   * @param {integer} offset Bit position of the cursor.
+   */
+  constructor(bytes, length = bytes.length * 8, offset = 0) {
+    this.bytes = bytes;
+    this.length = length;
+    this.offset = offset;
+  }
+
+  static fromBytes(bytes) {
+    if (!(bytes instanceof Uint8Array)) bytes = Uint8Array.from(bytes);
+    return new BitReader(bytes);
+  }
+
+  static fromHex(hex) {
+    const bytes = new Uint8Array(hex.length >> 1);
+    for (let i = 0; i < bytes.length; i++)
+      bytes[i] = parseInt(hex.substring(2 * i, 2 * (i + 1)), 16);
+    return new BitReader(bytes);
+  }
+
+  static fromBin(bin) {
+    const writer = new BitWriter((bin.length + 7) >> 3);
+    writer.writeBin(bin);
+    return new BitReader(writer.buffer, bin.length);
+  }
+
+  get remaining() {
+    return this.length - this.offset;
+  }
+
+  clone() {
+    return new BitReader(this.bytes, this.length, this.offset);
+  }
+
+  check(bits) {
+    if (bits > this.remaining)
+      throw new RangeError(
+        `Message too short, expected ${bits} bits at ${this.offset}, got ${this.remaining}.`
+      );
+  }
+
+  _readUint32(bits) {
+    let value = 0;
+    while (bits > 0) {
+      const used = this.offset & 7;
+      const free = 8 - used;
+      const n = free < bits ? free : bits;
+      const chunk =
+        (this.bytes[this.offset >> 3] >> (free - n)) & ((1 << n) - 1);
+      value = value * (1 << n) + chunk;
+      this.offset += n;
+      bits -= n;
+    }
+    return value;
+  }
+
+  /*
+   * Reads an unsigned integer with up to 53 bits.
+   * @param {integer} bits The number of bits to read.
+   * @return {integer} value
+   */
+  readUint(bits) {
+    this.check(bits);
+    if (bits > 32) {
+      const high = this._readUint32(bits - 32);
+      return high * UINT32 + this._readUint32(32);
+    }
+    return this._readUint32(bits);
+  }
+
+  /*
+   * Reads bits as a binary string such as "0101".
+   */
+  readBin(bits) {
+    this.check(bits);
+    let bin = "";
+    while (bits > 0) {
+      const n = bits > 32 ? 32 : bits;
+      bin += this._readUint32(n).toString(2).padStart(n, "0");
+      bits -= n;
+    }
+    return bin;
+  }
+
+  skip(bits) {
+    this.check(bits);
+    this.offset += bits;
+    return this;
+  }
+}
+
+module.exports.bits = {
+  BitWriter,
+  BitReader,
+};
@@ -24,6 +24,45 @@ OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 SOFTWARE.
 */
 const { utils } = require("./utils.js");
+const { BitWriter, BitReader } = require("./bits.js").bits;
+
+/*
+ * Thrown in strict mode when a value would be changed to fit its block.
+ */
+class StrictModeError extends RangeError {
+  constructor(key, value, kind) {
+    super(`Block '${key}' value ${JSON.stringify(value)} would be ${kind}.`);
+    this.name = "StrictModeError";
+    this.key = key;
+    this.value = value;
+    this.kind = kind;
+  }
+}
+
+/*
+ * Tracks the key path of the block being encoded or decoded along with the
+ * call options and collects the fields read while decoding a message or
+ * written while encoding it.
+ */
+class Trace {
+  constructor(section, path = "", fields = [], options = {}, type = null) {
+    this.section = section;
+    this.path = path;
+    this.fields = fields;
+    this.options = options;
+    this.type = type;
+  }
+
+  child(key, type = null) {
+    const path = this.path ? `${this.path}.${key}` : key;
+    return new Trace(this.section, path, this.fields, this.options, type);
+  }
+
+  item(index) {
+    const path = `${this.path}[${index}]`;
+    return new Trace(this.section, path, this.fields, this.options);
+  }
+}
 
 class BlockABC {
   constructor(blockSpec) {
@@ -53,8 +92,18 @@ class BlockABC {
 
     // Check optional settings
     Object.entries(this.optional).forEach(([key, value]) => {
-      if (key in blockSpec) this.validateType(value, blockSpec[key]);
-      else {
+      if (key in blockSpec) {
+        if (!this.validateType(value.type, blockSpec[key]))
+          throw new RangeError(
+            `Block ${blockSpec.key} key '${key}' has unexpected type.`
+          );
+        if (value.choices && !value.choices.includes(blockSpec[key]))
+          throw new RangeError(
+            `Block ${
+              blockSpec.key
+            } key '${key}' should be one of: ${value.choices.join(", ")}.`
+          );
+      } else {
         this.blockSpec[key] = value.default;
       }
     });
@@ -65,7 +114,7 @@ class BlockABC {
         !(
           Object.keys(this.required).includes(key) ||
           Object.keys(this.optional).includes(key) ||
-          ["key", "type", "value", "alias"].includes(key)
+          ["key", "type", "value", "alias", "optional", "when"].includes(key)
         )
       )
         throw new ReferenceError(
@@ -89,7 +138,14 @@ class BlockABC {
       else if (tp == "boolean" && typeof value == "boolean") return true;
       else if (tp == "integer" && Number.isInteger(value)) return true;
       else if (tp == "number" && utils.isNumber(value)) return true;
+      else if (tp == "float" && typeof value == "number") return true;
       else if (tp == "string" && utils.isString(value)) return true;
+      else if (tp == "date" && value instanceof Date) return true;
+      else if (
+        tp == "bytes" &&
+        (value instanceof Uint8Array || value instanceof ArrayBuffer)
+      )
+        return true;
       else if (tp == "bin" && utils.isString(value) && value.match(/^[0-1]+$/))
         return true;
       else if (
@@ -106,31 +162,138 @@ class BlockABC {
     return false;
   }
 
+  /*
+   * Called when value has to be changed to fit the block. Throws
+   * StrictModeError in strict mode unless the change is part of the block
+   * specification and records the change in the encode report.
+   * @param {string} kind clamped|truncated|padded|replaced|wrapped
+   */
+  adjusted(trace, value, kind, strict = true) {
+    if (!trace) return;
+    if (strict && trace.options.strict)
+      throw new StrictModeError(trace.path, value, kind);
+    if (trace.adjustments && !trace.adjustments.includes(kind))
+      trace.adjustments.push(kind);
+  }
+
   /* Abstract Method*/
-  _binEncode(value) {}
-  binEncode(value) {
-    if (this.value) {
-      return this._binEncode(this.value);
+  _binEncode(writer, value, trace) {}
+  write(writer, value, trace) {
+    if (this.blockSpec.optional) {
+      const present = !!this.value || value != null;
+      writer.writeUint(present ? 1 : 0, 1);
+      if (!present) return writer;
     }
-    this.validateValue(value);
-    return this._binEncode(value);
+    if (this.value) value = this.value;
+    else this.validateValue(value);
+    if (trace && trace.options.report)
+      return this.reportEncode(writer, value, trace);
+    this._binEncode(writer, value, trace);
+    return writer;
+  }
+  reportEncode(writer, value, trace) {
+    const offset = writer.length;
+    const field = {
+      section: trace.section,
+      key: trace.path,
+      type: this.blockSpec.type,
+      value,
+    };
+    trace.fields.push(field);
+    trace.adjustments = [];
+    this._binEncode(writer, value, trace);
+    const encoded = this._binDecode(
+      new BitReader(writer.buffer, writer.length, offset)
+    );
+    field.encoded = encoded;
+    field.adjustments = trace.adjustments;
+    field.quantizationError =
+      utils.isNumber(value) && utils.isNumber(encoded)
+        ? this.quantizationError(value, encoded)
+        : null;
+    return writer;
+  }
+  quantizationError(value, encoded) {
+    return encoded - value;
+  }
+  binEncode(value) {
+    return this.write(new BitWriter(), value).toBin();
   }
 
   /* Abstract Method*/
-  _binDecode(message) {}
+  _binDecode(reader, trace) {}
+  consume(reader, trace) {
+    if (this.blockSpec.optional && !this.consumePresence(reader, trace))
+      return null;
+    if (!trace) return this._binDecode(reader);
+    return this.traceDecode(reader, trace);
+  }
+  consumePresence(reader, trace) {
+    const offset = reader.offset;
+    const present = reader.readUint(1) === 1;
+    if (trace && trace.fields)
+      trace.fields.push({
+        section: trace.section,
+        key: trace.path,
+        type: "presence",
+        offset,
+        bits: 1,
+        raw: present ? "1" : "0",
+        rawValue: present ? 1 : 0,
+        value: present,
+      });
+    return present;
+  }
+  traceDecode(reader, trace) {
+    if (!trace.fields) return this._binDecode(reader, trace);
+    const offset = reader.offset;
+    const value = this._binDecode(reader, trace);
+    const bits = reader.offset - offset;
+    const raw = new BitReader(reader.bytes, reader.offset, offset);
+    const rawValue = bits <= 53 ? raw.clone().readUint(bits) : null;
+    trace.fields.push({
+      section: trace.section,
+      key: trace.path,
+      type: trace.type || this.blockSpec.type,
+      offset,
+      bits,
+      raw: raw.readBin(bits),
+      rawValue,
+      value,
+    });
+    return value;
+  }
   binDecode(message) {
-    return this._binDecode(message);
+    return this.consume(BitReader.fromBin(message));
   }
 
-  consume(message) {
-    let bits = this.accumulateBits(message);
-    let value = this.binDecode(message.slice(0, bits));
-    return [value, message.slice(bits)];
+  accumulateBits(reader) {
+    if (!this.blockSpec.optional) return this._accumulateBits(reader);
+    reader = reader.clone();
+    if (reader.readUint(1) === 0) return 1;
+    return 1 + this._accumulateBits(reader);
   }
-
-  accumulateBits(message) {
+  _accumulateBits(reader) {
     return this.bits;
   }
+
+  sizeBits() {
+    const size = this._sizeBits();
+    if (!this.blockSpec.optional) return size;
+    return { min: 1, max: 1 + size.max };
+  }
+  _sizeBits() {
+    return { min: this.bits, max: this.bits };
+  }
+
+  layout(path, offset) {
+    if (!this.blockSpec.optional) return this._layout(path, offset);
+    const presence = { key: path, type: "presence", offset, bits: 1 };
+    return [presence].concat(this._layout(path, offset + 1));
+  }
+  _layout(path, offset) {
+    return [{ key: path, type: this.blockSpec.type, offset, bits: this.bits }];
+  }
 }
 
 class BooleanBlock extends BlockABC {
@@ -139,13 +302,13 @@ class BooleanBlock extends BlockABC {
     this.bits = 1;
   }
 
-  _binEncode(value) {
+  _binEncode(writer, value) {
     value = Number.isInteger(value) ? value !== 0 : value;
-    return value === true ? "1" : "0";
+    writer.writeUint(value === true ? 1 : 0, 1);
   }
 
-  _binDecode(message) {
-    return message === "1";
+  _binDecode(reader) {
+    return reader.readUint(1) === 1;
   }
 }
 
@@ -155,17 +318,76 @@ class BinaryBlock extends BlockABC {
     this.required = { bits: "integer" };
   }
 
-  _binEncode(value) {
+  _binEncode(writer, value) {
     value = !(value.replace(/[01]/g, "") == "")
       ? (value = parseInt(value, 16)
           .toString(2)
           .padStart(value.length * 4, "0"))
       : value;
-    return value.padStart(this.bits, "0").slice(0, this.bits);
+    writer.writeBin(value.padStart(this.bits, "0").slice(0, this.bits));
+  }
+
+  _binDecode(reader) {
+    return reader.readBin(this.bits);
+  }
+}
+
+class BytesBlock extends BlockABC {
+  initVariables() {
+    this.input = ["bytes"];
+    this.required = { length: "integer" };
+    this.optional = {
+      fixed: { type: "boolean", default: true },
+      output: { type: "string", default: "bytes", choices: ["bytes", "hex"] },
+    };
   }
 
-  _binDecode(message) {
-    return message;
+  initializeBlock(blockSpec) {
+    this.bits = 8 * blockSpec.length;
+    this.lengthBits = Math.ceil(Math.log2(blockSpec.length + 1));
+    this.lengthBlock = new Block({
+      key: "length",
+      type: "integer",
+      bits: this.lengthBits,
+    });
+  }
+  _binEncode(writer, value, trace) {
+    const { length, fixed } = this.blockSpec;
+    let bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : value;
+    if (bytes.length > length) this.adjusted(trace, value, "truncated");
+    else if (bytes.length < length && fixed)
+      this.adjusted(trace, value, "padded");
+    bytes = bytes.subarray(0, length);
+    if (fixed) writer.writeBytes(bytes).fill(8 * (length - bytes.length), 0);
+    else this.lengthBlock.write(writer, bytes.length).writeBytes(bytes);
+  }
+  _binDecode(reader) {
+    const length = this.blockSpec.fixed
+      ? this.blockSpec.length
+      : this.lengthBlock.consume(reader);
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) bytes[i] = reader.readUint(8);
+    return this.blockSpec.output == "hex" ? utils.bytesToHex(bytes) : bytes;
+  }
+  _accumulateBits(reader) {
+    if (this.blockSpec.fixed) return this.bits;
+    return this.lengthBits + 8 * this.lengthBlock.consume(reader.clone());
+  }
+  _sizeBits() {
+    if (this.blockSpec.fixed) return { min: this.bits, max: this.bits };
+    return { min: this.lengthBits, max: this.lengthBits + this.bits };
+  }
+  _layout(path, offset) {
+    if (this.blockSpec.fixed) return super._layout(path, offset);
+    return [
+      { key: `${path}.length`, type: "length", offset, bits: this.lengthBits },
+      {
+        key: path,
+        type: "bytes",
+        offset: offset + this.lengthBits,
+        bits: this.bits,
+      },
+    ];
   }
 }
 
@@ -180,22 +402,151 @@ class IntegerBlock extends BlockABC {
         default: "truncate",
         choices: ["truncate", "remainder"],
       },
+      signed: {
+        type: ["boolean", "string"],
+        default: false,
+        choices: [false, true, "twos_complement", "zigzag"],
+      },
     };
   }
 
-  _binEncode(value) {
-    const overflow = Math.pow(2, this.bits) - 1;
+  initializeBlock(blockSpec) {
+    if (blockSpec.signed === true) blockSpec.signed = "twos_complement";
+    const range = Math.pow(2, this.bits);
+    this.lower = blockSpec.signed ? -range / 2 : 0;
+    this.upper = this.lower + range - 1;
+  }
+
+  _binEncode(writer, value, trace) {
+    const range = Math.pow(2, this.bits);
+    const input = value;
     value -= this.blockSpec.offset;
-    if (this.blockSpec.mode == "remainder") {
-      value %= Math.pow(2, this.blockSpec.bits);
-    } else {
-      value = Math.min(overflow, Math.max(0, value));
+    if (value < this.lower || value > this.upper) {
+      if (this.blockSpec.mode == "remainder") {
+        this.adjusted(trace, input, "wrapped", false);
+        value = ((((value - this.lower) % range) + range) % range) + this.lower;
+      } else {
+        this.adjusted(trace, input, "clamped");
+        value = Math.min(this.upper, Math.max(this.lower, value));
+      }
     }
-    return value.toString(2).padStart(this.bits, "0");
+    if (this.blockSpec.signed == "zigzag")
+      value = value < 0 ? -2 * value - 1 : 2 * value;
+    else if (value < 0) value += range;
+    writer.writeUint(value, this.bits);
   }
 
-  _binDecode(message) {
-    return this.blockSpec.offset + parseInt(message, 2);
+  _binDecode(reader) {
+    let value = reader.readUint(this.bits);
+    if (this.blockSpec.signed == "zigzag")
+      value = value % 2 == 0 ? value / 2 : -(value + 1) / 2;
+    else if (this.blockSpec.signed && value > this.upper)
+      value -= Math.pow(2, this.bits);
+    return this.blockSpec.offset + value;
+  }
+}
+
+class VarintBlock extends BlockABC {
+  initVariables() {
+    this.input = ["integer"];
+    this.optional = {
+      code: {
+        type: "string",
+        default: "gamma",
+        choices: ["gamma", "delta", "exp_golomb", "nibble"],
+      },
+      k: { type: "integer", default: 0 },
+    };
+  }
+
+  initializeBlock(blockSpec) {
+    if (blockSpec.k < 0 || blockSpec.k > 52)
+      throw new RangeError(`Block ${blockSpec.key} 'k' must be in [0, 52].`);
+    // Gamma and delta codes start at 1, so value + 1 must be a safe integer
+    this.upper = Number.MAX_SAFE_INTEGER - 1;
+    this.size = {
+      min: this.writeCode(new BitWriter(), 0).length,
+      max: this.writeCode(new BitWriter(), this.upper).length,
+    };
+  }
+  /*
+   * Elias gamma code of n >= 1.
+   */
+  writeGamma(writer, n) {
+    const bits = n.toString(2).length;
+    return writer.fill(bits - 1, 0).writeUint(n, bits);
+  }
+  readGamma(reader) {
+    let zeros = 0;
+    while (reader.readUint(1) === 0)
+      if (++zeros > 52) throw new RangeError("Invalid varint code.");
+    return Math.pow(2, zeros) + reader.readUint(zeros);
+  }
+  writeCode(writer, value) {
+    const code = this.blockSpec.code;
+    if (code == "gamma") return this.writeGamma(writer, value + 1);
+    if (code == "delta") {
+      const bits = (value + 1).toString(2).length;
+      this.writeGamma(writer, bits);
+      return writer.writeUint(value + 1 - Math.pow(2, bits - 1), bits - 1);
+    }
+    if (code == "exp_golomb") {
+      const divisor = Math.pow(2, this.blockSpec.k);
+      this.writeGamma(writer, Math.floor(value / divisor) + 1);
+      return writer.writeUint(value % divisor, this.blockSpec.k);
+    }
+    // Nibbles with a continuation bit and 3 bits, least significant first
+    do {
+      const rest = Math.floor(value / 8);
+      writer.writeUint(rest > 0 ? 1 : 0, 1).writeUint(value % 8, 3);
+      value = rest;
+    } while (value > 0);
+    return writer;
+  }
+  _binEncode(writer, value, trace) {
+    if (value < 0 || value > this.upper) {
+      this.adjusted(trace, value, "clamped");
+      value = Math.min(this.upper, Math.max(0, value));
+    }
+    this.writeCode(writer, value);
+  }
+  _binDecode(reader) {
+    const code = this.blockSpec.code;
+    if (code == "gamma") return this.readGamma(reader) - 1;
+    if (code == "delta") {
+      const bits = this.readGamma(reader);
+      if (bits > 53) throw new RangeError("Invalid varint code.");
+      return Math.pow(2, bits - 1) + reader.readUint(bits - 1) - 1;
+    }
+    if (code == "exp_golomb") {
+      const quotient = this.readGamma(reader) - 1;
+      return (
+        quotient * Math.pow(2, this.blockSpec.k) +
+        reader.readUint(this.blockSpec.k)
+      );
+    }
+    let value = 0;
+    let scale = 1;
+    let more = 1;
+    while (more) {
+      if (scale > this.upper) throw new RangeError("Invalid varint code.");
+      more = reader.readUint(1);
+      value += reader.readUint(3) * scale;
+      scale *= 8;
+    }
+    return value;
+  }
+  _accumulateBits(reader) {
+    const start = reader.offset;
+    reader = reader.clone();
+    this._binDecode(reader);
+    return reader.offset - start;
+  }
+  _sizeBits() {
+    return { min: this.size.min, max: this.size.max };
+  }
+  _layout(path, offset) {
+    return [{ key: path, type: "varint", offset, bits: this.size.max }];
   }
 }
 
@@ -211,11 +562,82 @@ class FloatBlock extends BlockABC {
         default: "round",
         choices: ["round", "floor", "ceil"],
       },
+      scale: {
+        type: "string",
+        default: "linear",
+        choices: ["linear", "log", "sqrt", "piecewise"],
+      },
+      breakpoints: { type: "array", default: [] },
+      wrap: { type: "boolean", default: false },
     };
   }
 
-  _binEncode(value) {
-    const bits = this.bits;
+  initializeBlock(blockSpec) {
+    const { lower, upper, scale, breakpoints } = blockSpec;
+    if (scale == "log" && !(lower > 0))
+      throw new RangeError(
+        `Block ${blockSpec.key} with log scale must have 'lower' > 0.`
+      );
+    if (scale == "sqrt" && !(lower >= 0))
+      throw new RangeError(
+        `Block ${blockSpec.key} with sqrt scale must have 'lower' >= 0.`
+      );
+    if (blockSpec.wrap && scale != "linear")
+      throw new RangeError(
+        `Block ${blockSpec.key} 'wrap' requires linear scale.`
+      );
+    if ((scale == "piecewise") != breakpoints.length > 0)
+      throw new RangeError(
+        `Block ${blockSpec.key} must have 'breakpoints' only with piecewise scale.`
+      );
+    // Breakpoints [value, fraction] between [lower, 0] and [upper, 1]
+    this.points = [[lower, 0]].concat(breakpoints, [[upper, 1]]);
+    this.points.slice(1).forEach((point, i) => {
+      if (
+        !Array.isArray(point) ||
+        point.length != 2 ||
+        !(point[0] > this.points[i][0] && point[1] > this.points[i][1])
+      )
+        throw new RangeError(
+          `Block ${blockSpec.key} 'breakpoints' must be increasing [value, fraction] pairs between lower and upper.`
+        );
+    });
+  }
+  /*
+   * Maps value in [lower, upper] to a fraction in [0, 1] and back.
+   */
+  toFraction(value) {
+    const { lower, upper, scale } = this.blockSpec;
+    if (scale == "log")
+      return Math.log(value / lower) / Math.log(upper / lower);
+    if (scale == "sqrt")
+      return (
+        (Math.sqrt(value) - Math.sqrt(lower)) /
+        (Math.sqrt(upper) - Math.sqrt(lower))
+      );
+    const i = this.points.findIndex((point) => value <= point[0]);
+    const [[x0, y0], [x1, y1]] = [
+      this.points[Math.max(0, i - 1)],
+      this.points[i],
+    ];
+    return i == 0 ? 0 : y0 + ((value - x0) * (y1 - y0)) / (x1 - x0);
+  }
+  fromFraction(fraction) {
+    const { lower, upper, scale } = this.blockSpec;
+    if (scale == "log") return lower * Math.pow(upper / lower, fraction);
+    if (scale == "sqrt") {
+      const root = Math.sqrt(lower);
+      return Math.pow(root + fraction * (Math.sqrt(upper) - root), 2);
+    }
+    const i = this.points.findIndex((point) => fraction <= point[1]);
+    const [[x0, y0], [x1, y1]] = [
+      this.points[Math.max(0, i - 1)],
+      this.points[i],
+    ];
+    return i == 0 ? lower : x0 + ((fraction - y0) * (x1 - x0)) / (y1 - y0);
+  }
+
+  _binEncode(writer, value, trace) {
     const upper = this.blockSpec.upper;
     const lower = this.blockSpec.lower;
     const approximation =
@@ -224,32 +646,168 @@ class FloatBlock extends BlockABC {
         : this.blockSpec.approximation == "floor"
         ? Math.floor
         : utils.round2Even;
+    if (this.blockSpec.wrap)
+      return this.encodeWrapped(writer, value, trace, approximation);
+    if (value < lower || value > upper) this.adjusted(trace, value, "clamped");
     const overflow = Math.pow(2, this.bits) - 1;
     const delta = upper - lower;
-    value = (overflow * (value - lower)) / delta;
+    if (this.blockSpec.scale == "linear") {
+      value = (overflow * (value - lower)) / delta;
+    } else {
+      value = Math.min(upper, Math.max(lower, value));
+      value = overflow * this.toFraction(value);
+    }
     value = approximation(Math.min(overflow, Math.max(0, value)));
-    return value.toString(2).padStart(this.bits, "0");
+    writer.writeUint(value, this.bits);
+  }
+
+  /*
+   * Quantizes value modulo upper - lower in 2^bits steps, so that upper is
+   * encoded as lower.
+   */
+  encodeWrapped(writer, value, trace, approximation) {
+    const { lower, upper } = this.blockSpec;
+    const steps = Math.pow(2, this.bits);
+    const range = upper - lower;
+    if (value < lower || value >= upper)
+      this.adjusted(trace, value, "wrapped", false);
+    const position = ((((value - lower) % range) + range) % range) / range;
+    writer.writeUint(approximation(steps * position) % steps, this.bits);
+  }
+  quantizationError(value, encoded) {
+    if (!this.blockSpec.wrap) return encoded - value;
+    // The shortest way around the circle, in [-range / 2, range / 2)
+    const range = this.blockSpec.upper - this.blockSpec.lower;
+    const error = (((encoded - value) % range) + range) % range;
+    return error >= range / 2 ? error - range : error;
   }
 
-  _binDecode(message) {
+  _binDecode(reader) {
+    if (this.blockSpec.wrap) {
+      const { lower, upper } = this.blockSpec;
+      return (
+        lower +
+        (reader.readUint(this.bits) * (upper - lower)) / Math.pow(2, this.bits)
+      );
+    }
     const overflow = Math.pow(2, this.bits) - 1;
+    if (this.blockSpec.scale != "linear")
+      return this.fromFraction(reader.readUint(this.bits) / overflow);
     return (
-      (parseInt(message, 2) * (this.blockSpec.upper - this.blockSpec.lower)) /
+      (reader.readUint(this.bits) *
+        (this.blockSpec.upper - this.blockSpec.lower)) /
         overflow +
       this.blockSpec.lower
     );
   }
 }
 
+class DecimalBlock extends BlockABC {
+  initVariables() {
+    this.input = ["number"];
+    this.required = { lower: "number", upper: "number", resolution: "number" };
+  }
+
+  initializeBlock(blockSpec) {
+    const { lower, upper, resolution } = blockSpec;
+    if (!(resolution > 0) || !(upper > lower))
+      throw new RangeError(
+        `Block ${blockSpec.key} must have 'resolution' > 0 and 'upper' > 'lower'.`
+      );
+    // The top step is the last one that does not decode above upper
+    this.steps = Math.floor(this.quotient(upper));
+    this.bits = Math.ceil(Math.log2(this.steps + 1));
+    if (this.bits > 53)
+      throw new RangeError(`Block ${blockSpec.key} 'resolution' is too fine.`);
+    this.decimals = Math.max(
+      this.decimalPlaces(lower),
+      this.decimalPlaces(resolution)
+    );
+  }
+  decimalPlaces(value) {
+    const [mantissa, exponent] = String(value).split("e");
+    const places =
+      (mantissa.split(".")[1] || "").length - Number(exponent || 0);
+    return Math.max(0, places);
+  }
+  /*
+   * Number of resolution steps from lower to value, without float artefacts.
+   */
+  quotient(value) {
+    const { lower, resolution } = this.blockSpec;
+    return Number(((value - lower) / resolution).toFixed(9));
+  }
+  _binEncode(writer, value, trace) {
+    const { lower, upper } = this.blockSpec;
+    if (value < lower || value > upper) {
+      this.adjusted(trace, value, "clamped");
+      value = Math.min(upper, Math.max(lower, value));
+    }
+    const index = utils.round2Even(this.quotient(value));
+    writer.writeUint(Math.min(this.steps, index), this.bits);
+  }
+  _binDecode(reader) {
+    const { lower, resolution } = this.blockSpec;
+    const index = Math.min(this.steps, reader.readUint(this.bits));
+    // Adding 0 turns a rounded -0 into 0
+    return Number((lower + index * resolution).toFixed(this.decimals)) + 0;
+  }
+  quantizationError(value, encoded) {
+    const decimals = Math.max(this.decimals, this.decimalPlaces(value));
+    return Number((encoded - value).toFixed(decimals)) + 0;
+  }
+}
+
+class IEEE754Block extends BlockABC {
+  initVariables() {
+    this.input = ["float"];
+    this.required = { bits: "integer" };
+    this.optional = {
+      byte_order: {
+        type: "string",
+        default: "big",
+        choices: ["big", "little"],
+      },
+    };
+  }
+
+  initializeBlock(blockSpec) {
+    if (![16, 32, 64].includes(this.bits))
+      throw new RangeError(
+        `Block ${blockSpec.key} 'bits' should be one of: 16, 32, 64.`
+      );
+    this.littleEndian = blockSpec.byte_order == "little";
+    this.bytes = new Uint8Array(8);
+    this.view = new DataView(this.bytes.buffer);
+  }
+
+  _binEncode(writer, value) {
+    if (this.bits == 16)
+      this.view.setUint16(0, utils.toHalf(value), this.littleEndian);
+    else if (this.bits == 32) this.view.setFloat32(0, value, this.littleEndian);
+    else this.view.setFloat64(0, value, this.littleEndian);
+    writer.writeBytes(this.bytes, this.bits);
+  }
+
+  _binDecode(reader) {
+    for (let i = 0; i < this.bits / 8; i++) this.bytes[i] = reader.readUint(8);
+    if (this.bits == 16)
+      return utils.fromHalf(this.view.getUint16(0, this.littleEndian));
+    else if (this.bits == 32) return this.view.getFloat32(0, this.littleEndian);
+    return this.view.getFloat64(0, this.littleEndian);
+  }
+}
+
 class PadBlock extends BlockABC {
   initVariables() {
     this.input = [null];
     this.required = { bits: "integer" };
   }
-  _binEncode(value) {
-    return "".padStart(this.bits, "1");
+  _binEncode(writer, value) {
+    writer.fill(this.bits, 1);
   }
-  _binDecode(message) {
+  _binDecode(reader) {
+    reader.skip(this.bits);
     return null;
   }
 }
@@ -258,7 +816,14 @@ class ArrayBlock extends BlockABC {
   initVariables() {
     this.input = ["array"];
     this.required = { length: "integer", blocks: "blocks" };
-    this.optional = { fixed: { type: "boolean", default: false } };
+    this.optional = {
+      fixed: { type: "boolean", default: false },
+      delta: {
+        type: ["boolean", "string"],
+        default: false,
+        choices: [false, true, "varint", "shared"],
+      },
+    };
   }
 
   initializeBlock(blockSpec) {
@@ -269,10 +834,23 @@ class ArrayBlock extends BlockABC {
       bits: this.bits,
     });
     this.itemsBlock = new Block(blockSpec.blocks);
+    if (blockSpec.delta === true) blockSpec.delta = "varint";
+    if (blockSpec.delta) {
+      const items = blockSpec.blocks;
+      if (!["integer", "float"].includes(items.type) || items.optional)
+        throw new RangeError(
+          `Block ${blockSpec.key} 'delta' requires integer or float items.`
+        );
+      this.itemBits = this.itemsBlock.sizeBits().max;
+      // Zigzag differences need one bit more than the items
+      this.widthBits = (this.itemBits + 1).toString(2).length;
+    }
   }
-  _binEncode(value) {
-    let message = "";
+  _binEncode(writer, value, trace) {
+    if (this.blockSpec.delta) return this.encodeDeltas(writer, value, trace);
     let length;
+    if (value.length > this.blockSpec.length)
+      this.adjusted(trace, value, "truncated");
     if (this.blockSpec.fixed) {
       length = this.blockSpec.length;
     } else {
@@ -280,41 +858,206 @@ class ArrayBlock extends BlockABC {
         value.length > this.blockSpec.length
           ? this.blockSpec.length
           : value.length;
-      message += this.lengthBlock.binEncode(length);
+      this.lengthBlock.write(writer, length);
     }
-    message += value
-      .slice(0, length)
-      .reduce((acc, v, idx) => acc + this.itemsBlock.binEncode(v), "");
-    return message;
+    for (let i = 0; i < length; i++)
+      this.itemsBlock.write(writer, value[i], trace && trace.item(i));
   }
-  _binDecode(message) {
+  _binDecode(reader, trace) {
+    if (this.blockSpec.delta) return this.decodeDeltas(reader);
     let length;
     if (!this.blockSpec.fixed) {
-      [length, message] = this.lengthBlock.consume(message);
+      length = this.lengthBlock.consume(
+        reader,
+        trace && trace.child("length", "length")
+      );
     } else {
       length = this.blockSpec.length;
     }
     let value = [];
     for (let i = 0; i < length; i++) {
-      let v;
-      [v, message] = this.itemsBlock.consume(message);
-      value.push(v);
+      value.push(this.itemsBlock.consume(reader, trace && trace.item(i)));
     }
     return value;
   }
-  accumulateBits(message) {
+  traceDecode(reader, trace) {
+    // Delta encoded items are traced as a single field
+    if (this.blockSpec.delta) return super.traceDecode(reader, trace);
+    return this._binDecode(reader, trace);
+  }
+  /*
+   * Writes the first item with its block and the following items as the
+   * zigzag encoded differences between consecutive items.
+   */
+  encodeDeltas(writer, value, trace) {
+    if (value.length > this.blockSpec.length)
+      this.adjusted(trace, value, "truncated");
+    const length = this.blockSpec.fixed
+      ? this.blockSpec.length
+      : Math.min(value.length, this.blockSpec.length);
+    if (!this.blockSpec.fixed) this.lengthBlock.write(writer, length);
+    if (length == 0) return;
+    const raw = [];
+    for (let i = 0; i < length; i++) {
+      const item = new BitWriter();
+      this.itemsBlock.write(item, value[i], trace && trace.item(i));
+      raw.push(this.itemIndex(new BitReader(item.buffer, item.length)));
+    }
+    const zigzag = raw
+      .slice(1)
+      .map((r, i) => r - raw[i])
+      .map((d) => (d < 0 ? -2 * d - 1 : 2 * d));
+    writer.writeUint(raw[0], this.itemBits);
+    if (this.blockSpec.delta == "shared") {
+      if (length == 1) return;
+      const width = Math.max(
+        ...zigzag.map((z) => (z ? z.toString(2).length : 0))
+      );
+      writer.writeUint(width, this.widthBits);
+      zigzag.forEach((z) => writer.writeUint(z, width));
+    } else {
+      zigzag.forEach((z) => {
+        const bits = (z + 1).toString(2).length;
+        writer.fill(bits - 1, 0).writeUint(z + 1, bits);
+      });
+    }
+  }
+  decodeDeltas(reader) {
+    const length = this.blockSpec.fixed
+      ? this.blockSpec.length
+      : this.lengthBlock.consume(reader);
+    if (length == 0) return [];
+    const raw = [reader.readUint(this.itemBits)];
+    const width =
+      this.blockSpec.delta == "shared" && length > 1
+        ? reader.readUint(this.widthBits)
+        : null;
+    for (let i = 1; i < length; i++) {
+      let z;
+      if (width !== null) {
+        z = reader.readUint(width);
+      } else {
+        let zeros = 0;
+        while (reader.readUint(1) === 0)
+          if (++zeros > this.itemBits)
+            throw new RangeError("Invalid delta code.");
+        z = Math.pow(2, zeros) + reader.readUint(zeros) - 1;
+      }
+      const r = raw[i - 1] + (z % 2 ? -(z + 1) / 2 : z / 2);
+      if (r < 0 || r >= Math.pow(2, this.itemBits))
+        throw new RangeError("Invalid delta code.");
+      raw.push(r);
+    }
+    return raw.map((r) => this.itemValue(r));
+  }
+  /*
+   * Position of the encoded item in the ordered values of the items block,
+   * so that signed integers have small differences around zero.
+   */
+  itemIndex(reader) {
+    if (this.itemsBlock.blockSpec.type == "float")
+      return reader.readUint(this.itemBits);
+    const value = this.itemsBlock.consume(reader);
+    return (
+      value - this.itemsBlock.blockSpec.offset - this.itemsBlock.block.lower
+    );
+  }
+  itemValue(index) {
+    if (this.itemsBlock.blockSpec.type == "float") {
+      const item = new BitWriter().writeUint(index, this.itemBits);
+      return this.itemsBlock.consume(new BitReader(item.buffer, item.length));
+    }
+    return (
+      index + this.itemsBlock.blockSpec.offset + this.itemsBlock.block.lower
+    );
+  }
+  /*
+   * Size of the delta encoded items.
+   */
+  deltaSize(length) {
+    if (length == 0) return { min: 0, max: 0 };
+    const diffs = length - 1;
+    if (this.blockSpec.delta == "shared") {
+      const header = diffs ? this.widthBits : 0;
+      return {
+        min: this.itemBits + header,
+        max: this.itemBits + header + diffs * (this.itemBits + 1),
+      };
+    }
+    return {
+      min: this.itemBits + diffs,
+      max: this.itemBits + diffs * (2 * this.itemBits + 1),
+    };
+  }
+  _accumulateBits(reader) {
+    if (this.blockSpec.delta) {
+      const start = reader.offset;
+      reader = reader.clone();
+      this.decodeDeltas(reader);
+      return reader.offset - start;
+    }
     let bits = 0;
-    let length, msg;
+    let length;
+    reader = reader.clone();
     if (!this.blockSpec.fixed) {
-      [length, msg] = this.lengthBlock.consume(message);
+      length = this.lengthBlock.consume(reader);
       bits += this.bits;
     } else {
       length = this.blockSpec.length;
-      msg = message;
     }
-    bits += length * this.itemsBlock.accumulateBits(msg);
+    // Items may have different sizes, so each one is measured
+    for (let i = 0; i < length; i++) {
+      const b = this.itemsBlock.accumulateBits(reader);
+      reader.skip(b);
+      bits += b;
+    }
     return bits;
   }
+  _sizeBits() {
+    if (this.blockSpec.delta) {
+      const size = this.deltaSize(this.blockSpec.length);
+      if (this.blockSpec.fixed) return size;
+      return { min: this.bits, max: this.bits + size.max };
+    }
+    const items = this.itemsBlock.sizeBits();
+    if (this.blockSpec.fixed)
+      return {
+        min: this.blockSpec.length * items.min,
+        max: this.blockSpec.length * items.max,
+      };
+    return {
+      min: this.bits,
+      max: this.bits + this.blockSpec.length * items.max,
+    };
+  }
+  _layout(path, offset) {
+    let fields = [];
+    if (!this.blockSpec.fixed) {
+      fields.push({
+        key: `${path}.length`,
+        type: "length",
+        offset,
+        bits: this.bits,
+      });
+      offset += this.bits;
+    }
+    if (this.blockSpec.delta)
+      return fields.concat({
+        key: path,
+        type: "delta",
+        offset,
+        bits: this.deltaSize(this.blockSpec.length).max,
+      });
+    for (let i = 0; i < this.blockSpec.length; i++) {
+      const items = this.itemsBlock.layout(`${path}[${i}]`, offset);
+      offset = items.reduce(
+        (acc, field) => Math.max(acc, field.offset + field.bits),
+        offset
+      );
+      fields = fields.concat(items);
+    }
+    return fields;
+  }
 }
 
 class ObjectBlock extends BlockABC {
@@ -324,9 +1067,41 @@ class ObjectBlock extends BlockABC {
   }
 
   initializeBlock(blockSpec) {
-    this.blocklist = blockSpec.blocklist.map((b_spec) => new Block(b_spec));
+    this.blocklist = blockSpec.blocklist.map(
+      (b_spec) => new Block(b_spec, {}, true)
+    );
+    this.conditions = this.blocklist.map((block, idx) => {
+      const when = block.blockSpec.when;
+      if (!when) return null;
+      const sibling = this.blocklist
+        .slice(0, idx)
+        .findIndex(
+          (b) =>
+            when.key == b.blockSpec.key ||
+            when.key.startsWith(`${b.blockSpec.key}.`)
+        );
+      if (sibling == -1)
+        throw new ReferenceError(
+          `Block '${block.blockSpec.key}' condition key '${when.key}' must be an earlier sibling.`
+        );
+      const path = when.key.slice(this.blocklist[sibling].blockSpec.key.length);
+      return { sibling, path: path.slice(1), when };
+    });
+  }
+  /*
+   * Checks the condition of the block at idx given the values of its siblings.
+   */
+  isPresent(idx, siblingValue) {
+    const condition = this.conditions[idx];
+    if (!condition) return true;
+    let value = siblingValue(condition.sibling);
+    if (condition.path) value = this.getValue(condition.path, value);
+    return "in" in condition.when
+      ? condition.when.in.includes(value)
+      : value === condition.when.equals;
   }
   getValue(key, obj) {
+    if (obj == null) return undefined;
     let ks = key.split(".");
     if (ks.length > 1) return this.getValue(ks.slice(1).join("."), obj[ks[0]]);
     return obj[key];
@@ -346,7 +1121,7 @@ class ObjectBlock extends BlockABC {
       } else {
         if (Array.isArray(value)) {
           if (utils.isObject(value[0]))
-            newObj[key] = value.map(this.nestObject);
+            newObj[key] = value.map((item) => this.nestObject(item));
           else newObj[key] = value;
         } else if (utils.isObject(value)) {
           newObj[key] = this.mergeObj(newObj[key] || {}, value);
@@ -362,6 +1137,9 @@ class ObjectBlock extends BlockABC {
     for (const [key, val] of Object.entries(obj)) {
       if (utils.isObject(val)) {
         newObj[key] = this.removeNull(obj[key]);
+        // Drop objects left empty by missing optional values
+        if (Object.keys(val).length && !Object.keys(newObj[key]).length)
+          newObj[key] = null;
       } else {
         newObj[key] = val;
       }
@@ -372,7 +1150,11 @@ class ObjectBlock extends BlockABC {
     return newObj;
   }
   mergeObj(obj1, obj2) {
-    let merged = JSON.parse(JSON.stringify(obj1));
+    // Copies plain objects only, so decoded Dates and byte arrays are kept
+    let merged = {};
+    for (const [key, val] of Object.entries(obj1)) {
+      merged[key] = utils.isObject(val) ? this.mergeObj({}, val) : val;
+    }
     for (const [key, val] of Object.entries(obj2)) {
       if (utils.isObject(val)) {
         merged[key] = this.mergeObj(merged[key] || {}, val);
@@ -382,18 +1164,38 @@ class ObjectBlock extends BlockABC {
     }
     return merged;
   }
-  _binEncode(value) {
-    return this.blocklist
-      .map((block) =>
-        block.binEncode(this.getValue(block.blockSpec.key, value))
-      )
-      .join("");
+  _binEncode(writer, value, trace) {
+    // Conditions are evaluated on the encoded values, as the decoder does
+    const offsets = [];
+    const encoded = (idx) =>
+      offsets[idx] === undefined
+        ? null
+        : this.blocklist[idx].consume(
+            new BitReader(writer.buffer, writer.length, offsets[idx])
+          );
+    this.blocklist.forEach((block, idx) => {
+      if (!this.isPresent(idx, encoded)) return;
+      offsets[idx] = writer.length;
+      block.write(
+        writer,
+        this.getValue(block.blockSpec.key, value),
+        trace && trace.child(block.blockSpec.key)
+      );
+    });
   }
-  _binDecode(message) {
+  _binDecode(reader, trace) {
     let values = {};
-    for (let block of this.blocklist) {
-      let v;
-      [v, message] = block.consume(message);
+    const decoded = [];
+    for (let [idx, block] of this.blocklist.entries()) {
+      if (!this.isPresent(idx, (sibling) => decoded[sibling])) {
+        decoded.push(null);
+        continue;
+      }
+      const v = block.consume(
+        reader,
+        trace && trace.child(block.blockSpec.key)
+      );
+      decoded.push(v);
       const alias =
         "alias" in block.blockSpec
           ? block.blockSpec.alias
@@ -402,37 +1204,143 @@ class ObjectBlock extends BlockABC {
     }
     return this.removeNull(this.nestObject(values));
   }
-  accumulateBits(message) {
+  traceDecode(reader, trace) {
+    return this._binDecode(reader, trace);
+  }
+  reportEncode(writer, value, trace) {
+    this._binEncode(writer, value, trace);
+    return writer;
+  }
+  _accumulateBits(reader) {
+    if (this.conditions.some((condition) => condition)) {
+      const start = reader.offset;
+      reader = reader.clone();
+      this._binDecode(reader);
+      return reader.offset - start;
+    }
+    reader = reader.clone();
+    return this.blocklist.reduce((bits, block) => {
+      const b = block.accumulateBits(reader);
+      reader.skip(b);
+      return bits + b;
+    }, 0);
+  }
+  _sizeBits() {
     return this.blocklist.reduce(
-      ([bits, message], block) => {
-        let b = block.accumulateBits(message);
-        return [bits + b, message.slice(b)];
+      (size, block, idx) => {
+        const b = block.sizeBits();
+        const min = this.conditions[idx] ? 0 : b.min;
+        return { min: size.min + min, max: size.max + b.max };
       },
-      [0, message]
-    )[0];
+      { min: 0, max: 0 }
+    );
+  }
+  _layout(path, offset) {
+    let fields = [];
+    for (let block of this.blocklist) {
+      const key = path ? `${path}.${block.blockSpec.key}` : block.blockSpec.key;
+      const items = block.layout(key, offset);
+      offset = items.reduce(
+        (acc, field) => Math.max(acc, field.offset + field.bits),
+        offset
+      );
+      fields = fields.concat(items);
+    }
+    return fields;
   }
 }
 
+// Characters of the named charsets, with the index of the default replacement
+const CHARSETS = {
+  base64: {
+    chars: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=",
+    replacement: 63,
+  },
+  digits: { chars: "0123456789 +-.:?", replacement: 15 },
+  uppercase: { chars: "ABCDEFGHIJKLMNOPQRSTUVWXYZ .,-'?", replacement: 31 },
+  ascii: {
+    chars: String.fromCharCode(...Array.from(Array(128).keys())),
+    replacement: 63,
+  },
+};
+
 class StringBlock extends BlockABC {
   initVariables() {
     this.input = ["string"];
     this.required = { length: "integer" };
-    this.optional = { custom_alphabeth: { type: "object", default: {} } };
+    this.optional = {
+      custom_alphabeth: { type: "object", default: {} },
+      charset: {
+        type: "string",
+        default: "base64",
+        choices: Object.keys(CHARSETS).concat("utf8"),
+      },
+      alphabet: { type: "string", default: null },
+      replacement: { type: "string", default: null },
+      strict: { type: "boolean", default: false },
+      fixed: { type: "boolean", default: true },
+      pad_side: { type: "string", default: "left", choices: ["left", "right"] },
+      pad_char: { type: "string", default: null },
+      strip: { type: "boolean", default: false },
+    };
   }
 
   initializeBlock(blockSpec) {
-    const _b64_alphabeth =
-      "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=";
-
-    this.alphabeth = utils.fromEntries(
-      new Map(
-        _b64_alphabeth.split("").map((c, i) => {
-          if (i in blockSpec.custom_alphabeth)
-            return [blockSpec.custom_alphabeth[i], i];
-          return [c, i];
-        })
-      )
+    this.lengthBits = Math.ceil(Math.log2(blockSpec.length + 1));
+    this.lengthBlock = new Block({
+      key: "length",
+      type: "integer",
+      bits: this.lengthBits,
+    });
+    if (
+      blockSpec.pad_char !== null &&
+      Array.from(blockSpec.pad_char).length != 1
+    )
+      throw new RangeError(
+        `Block ${blockSpec.key} 'pad_char' must be a single character.`
+      );
+    if (blockSpec.charset == "utf8") this.initializeUtf8(blockSpec);
+    else this.initializeAlphabet(blockSpec);
+    this.letterBlock = new Block({
+      key: "letter",
+      type: "integer",
+      bits: this.charBits,
+    });
+    this.bits = this.charBits * blockSpec.length;
+  }
+  initializeUtf8(blockSpec) {
+    if (blockSpec.alphabet || blockSpec.replacement)
+      throw new RangeError(
+        `Block ${blockSpec.key} with utf8 charset can't have 'alphabet' or 'replacement'.`
+      );
+    this.charBits = 8;
+    this.padChar = blockSpec.pad_char || " ";
+    this.padUnit = this.padChar.charCodeAt(0);
+    if (this.padUnit > 0x7f)
+      throw new RangeError(
+        `Block ${blockSpec.key} 'pad_char' must be ASCII with utf8 charset.`
+      );
+  }
+  initializeAlphabet(blockSpec) {
+    let chars;
+    if (blockSpec.alphabet) {
+      chars = Array.from(blockSpec.alphabet);
+      if (new Set(chars).size != chars.length)
+        throw new RangeError(
+          `Block ${blockSpec.key} 'alphabet' has repeated characters.`
+        );
+      this.charBits = Math.max(1, Math.ceil(Math.log2(chars.length)));
+    } else {
+      chars = Array.from(CHARSETS[blockSpec.charset].chars);
+      this.charBits = Math.ceil(Math.log2(chars.length));
+      // Base64 has 65 characters, so "=" is never encoded
+      if (blockSpec.charset == "base64") this.charBits = 6;
+    }
+    chars = chars.map((c, i) =>
+      i in blockSpec.custom_alphabeth ? blockSpec.custom_alphabeth[i] : c
     );
+
+    this.alphabeth = utils.fromEntries(new Map(chars.map((c, i) => [c, i])));
     this.rev_alphabeth = Object.entries(this.alphabeth).reduce(
       (acc, [key, value]) => {
         acc[value] = key;
@@ -440,35 +1348,156 @@ class StringBlock extends BlockABC {
       },
       {}
     );
-    this.letterBlock = new Block({ key: "letter", type: "integer", bits: 6 });
-  }
-  _binEncode(value) {
-    value = value
-      .padStart(this.blockSpec.length, " ")
-      .substring(0, this.blockSpec.length);
-    return value
-      .split("")
-      .map((char) =>
-        char in this.alphabeth ? this.alphabeth[char] : char == " " ? 62 : 63
-      )
-      .map((index) => this.letterBlock.binEncode(index))
-      .join("");
+    // An index, so custom_alphabeth can swap the default replacement out
+    const replacement =
+      blockSpec.replacement ||
+      chars[blockSpec.alphabet ? 0 : CHARSETS[blockSpec.charset].replacement];
+    if (!(replacement in this.alphabeth))
+      throw new RangeError(
+        `Block ${blockSpec.key} 'replacement' must be in the alphabet.`
+      );
+    this.replacement = this.alphabeth[replacement];
+    // Spaces were always encoded as "+" in base64
+    if (blockSpec.charset == "base64" && !blockSpec.alphabet)
+      if (!(" " in this.alphabeth)) this.alphabeth[" "] = 62;
+    const pad =
+      blockSpec.pad_char || (" " in this.alphabeth ? " " : replacement);
+    if (!(pad in this.alphabeth))
+      throw new RangeError(
+        `Block ${blockSpec.key} 'pad_char' must be in the alphabet.`
+      );
+    this.padUnit = this.alphabeth[pad];
+    this.padChar = this.rev_alphabeth[this.padUnit];
+  }
+  /*
+   * Called for characters that are not in the alphabet.
+   */
+  replaced(trace, value) {
+    if (this.blockSpec.strict)
+      throw new StrictModeError(
+        trace ? trace.path : this.blockSpec.key,
+        value,
+        "replaced"
+      );
+    this.adjusted(trace, value, "replaced");
   }
-  _binDecode(message) {
-    return new Array(message.length / 6)
-      .fill(0)
-      .map((_, i) => message.substring(6 * i, 6 * (i + 1)))
-      .map((message) => this.letterBlock.binDecode(message))
-      .map((index) => this.rev_alphabeth[index])
-      .join("");
+  _binEncode(writer, value, trace) {
+    const { length, fixed, pad_side } = this.blockSpec;
+    const utf8 = this.blockSpec.charset == "utf8";
+    const size = utf8
+      ? new TextEncoder().encode(value).length
+      : this.characters(value).length;
+    if (size > length) this.adjusted(trace, value, "truncated");
+    else if (size < length && fixed) this.adjusted(trace, value, "padded");
+    let units = utf8 ? this.utf8Units(value) : this.alphabetUnits(value, trace);
+    if (fixed) {
+      const padding = Array(length - units.length).fill(this.padUnit);
+      units =
+        pad_side == "left" ? padding.concat(units) : units.concat(padding);
+    } else {
+      this.lengthBlock.write(writer, units.length);
+    }
+    units.forEach((unit) => this.letterBlock.write(writer, unit));
+  }
+  /*
+   * Custom alphabets are split into code points, so values are too. The
+   * charsets keep counting UTF-16 units as the encoded messages always did.
+   */
+  characters(value) {
+    return this.blockSpec.alphabet ? Array.from(value) : value.split("");
+  }
+  /*
+   * Alphabet indexes of the characters that fit in the block.
+   */
+  alphabetUnits(value, trace) {
+    const units = [];
+    for (const char of this.characters(value).slice(0, this.blockSpec.length)) {
+      let index = this.alphabeth[char];
+      if (index === undefined) {
+        this.replaced(trace, value);
+        index = this.replacement;
+      }
+      units.push(index);
+    }
+    return units;
+  }
+  /*
+   * Bytes of the characters that fit in the block.
+   */
+  utf8Units(value) {
+    const bytes = new TextEncoder().encode(value);
+    let end = Math.min(bytes.length, this.blockSpec.length);
+    if (end < bytes.length)
+      while (end > 0 && (bytes[end] & 0xc0) == 0x80) end--;
+    return Array.from(bytes.subarray(0, end));
+  }
+  _binDecode(reader) {
+    const length = this.blockSpec.fixed
+      ? this.blockSpec.length
+      : this.lengthBlock.consume(reader);
+    const units = [];
+    for (let i = 0; i < length; i++)
+      units.push(this.letterBlock.consume(reader));
+    let value =
+      this.blockSpec.charset == "utf8"
+        ? new TextDecoder().decode(Uint8Array.from(units))
+        : units
+            .map((index) =>
+              index in this.rev_alphabeth
+                ? this.rev_alphabeth[index]
+                : this.rev_alphabeth[this.replacement]
+            )
+            .join("");
+    if (this.blockSpec.fixed && this.blockSpec.strip) {
+      const chars = Array.from(value);
+      if (this.blockSpec.pad_side == "left")
+        while (chars[0] === this.padChar) chars.shift();
+      else while (chars[chars.length - 1] === this.padChar) chars.pop();
+      value = chars.join("");
+    }
+    return value;
+  }
+  _accumulateBits(reader) {
+    if (this.blockSpec.fixed) return this.bits;
+    const length = this.lengthBlock.consume(reader.clone());
+    return this.lengthBits + length * this.charBits;
+  }
+  _sizeBits() {
+    if (this.blockSpec.fixed) return { min: this.bits, max: this.bits };
+    return { min: this.lengthBits, max: this.lengthBits + this.bits };
+  }
+  _layout(path, offset) {
+    if (this.blockSpec.fixed) return super._layout(path, offset);
+    return [
+      { key: `${path}.length`, type: "length", offset, bits: this.lengthBits },
+      {
+        key: path,
+        type: "string",
+        offset: offset + this.lengthBits,
+        bits: this.bits,
+      },
+    ];
   }
 }
 
 class StepsBlock extends BlockABC {
   initVariables() {
-    this.input = "number";
+    this.input = ["number", "string", "object"];
     this.required = { steps: "array" };
-    this.optional = { steps_names: { type: "array", default: [] } };
+    this.optional = {
+      steps_names: { type: "array", default: [] },
+      steps_values: { type: "array", default: [] },
+      policy: {
+        type: "string",
+        default: "midpoint",
+        choices: ["midpoint", "lower", "upper"],
+      },
+      output: {
+        type: "string",
+        default: "name",
+        choices: ["name", "value", "both"],
+      },
+    };
   }
 
   initializeBlock(blockSpec) {
@@ -494,18 +1523,61 @@ class StepsBlock extends BlockABC {
     }
     if (this.blockSpec.steps_names.length != this.blockSpec.steps.length + 1)
       throw RangeError(`steps_names' has to have length 1 + len(steps)`);
+    this.values = this.stepsValues(blockSpec);
     this.blockSpec.steps.push(Infinity);
   }
-  _binEncode(value) {
+  /*
+   * Representative value of each step, from steps_values or the policy.
+   * The open ended first and last steps use their finite bound.
+   */
+  stepsValues(blockSpec) {
+    const steps = blockSpec.steps;
+    if (blockSpec.steps_values.length) {
+      if (
+        blockSpec.steps_values.length != steps.length + 1 ||
+        !blockSpec.steps_values.every(utils.isNumber)
+      )
+        throw RangeError(
+          `steps_values' has to have length 1 + len(steps) numbers`
+        );
+      return blockSpec.steps_values;
+    }
+    return blockSpec.steps_names.map((_, i) => {
+      const lower = i == 0 ? steps[0] : steps[i - 1];
+      const upper = i == steps.length ? steps[i - 1] : steps[i];
+      if (blockSpec.policy == "lower") return lower;
+      if (blockSpec.policy == "upper") return upper;
+      return (lower + upper) / 2;
+    });
+  }
+  _binEncode(writer, value) {
+    // Accepts the {name, value} objects decoded with output "both"
+    if (utils.isObject(value)) {
+      if (!utils.isString(value.name))
+        throw RangeError(
+          `Invalid step ${JSON.stringify(value)}, missing name.`
+        );
+      value = value.name;
+    }
+    if (utils.isString(value)) {
+      const index = this.blockSpec.steps_names.indexOf(value);
+      if (index == -1) throw RangeError(`Invalid step name ${value}.`);
+      return this.stepsBlock.write(writer, index);
+    }
     const _value = this.blockSpec.steps.reduce(
       (acc, cur, idx) => (acc != -1 ? acc : value < cur ? idx : -1),
       -1
     );
-    return this.stepsBlock.binEncode(_value);
+    if (_value == -1) throw RangeError(`Invalid step value ${value}.`);
+    this.stepsBlock.write(writer, _value);
   }
-  _binDecode(message) {
-    let value = this.stepsBlock.binDecode(message);
-    return this.blockSpec.steps_names[value];
+  _binDecode(reader) {
+    let value = this.stepsBlock.consume(reader);
+    const name = this.blockSpec.steps_names[value];
+    if (this.blockSpec.output == "value") return this.values[value];
+    if (this.blockSpec.output == "both")
+      return { name, value: this.values[value] };
+    return name;
   }
 }
 
@@ -536,18 +1608,19 @@ class CategoriesBlock extends BlockABC {
       offset: 0,
     });
   }
-  _binEncode(value) {
+  _binEncode(writer, value, trace) {
     let index = this.blockSpec.categories.indexOf(value);
     if (index == -1) {
+      if (this.blockSpec.error) this.adjusted(trace, value, "replaced", false);
       if (this.blockSpec.categories.includes(this.blockSpec.error))
         index = this.blockSpec.categories.indexOf(this.blockSpec.error);
       else if (!!this.blockSpec.error) index = this.blockSpec.categories.length;
       else throw RangeError("Invalid value for category.");
     }
-    return this.categoriesBlock.binEncode(index);
+    this.categoriesBlock.write(writer, index);
   }
-  _binDecode(message) {
-    let value = this.categoriesBlock.binDecode(message);
+  _binDecode(reader) {
+    let value = this.categoriesBlock.consume(reader);
     return value < this.blockSpec.categories.length
       ? this.blockSpec.categories[value]
       : value == this.blockSpec.categories.length && !!this.blockSpec.error
@@ -556,31 +1629,465 @@ class CategoriesBlock extends BlockABC {
   }
 }
 
+class FlagsBlock extends BlockABC {
+  initVariables() {
+    this.input = ["array", "object"];
+    this.required = { flags: "array" };
+    this.optional = {
+      error: {
+        type: "string",
+        default: null,
+      },
+      shape: { type: "string", default: "array", choices: ["array", "object"] },
+    };
+  }
+
+  initializeBlock(blockSpec) {
+    if (new Set(blockSpec.flags).size != blockSpec.flags.length)
+      throw new RangeError(`Block ${blockSpec.key} has repeated flags.`);
+    this.flags = blockSpec.flags.slice();
+    if (!!blockSpec.error && !this.flags.includes(blockSpec.error))
+      this.flags.push(blockSpec.error);
+    this.bits = this.flags.length;
+  }
+  _binEncode(writer, value, trace) {
+    const active = Array.isArray(value)
+      ? value
+      : Object.keys(value).filter((flag) => value[flag]);
+    const bits = this.flags.map(() => 0);
+    for (let flag of active) {
+      let index = this.blockSpec.flags.indexOf(flag);
+      if (index == -1) {
+        if (!this.blockSpec.error) throw RangeError(`Invalid flag ${flag}.`);
+        this.adjusted(trace, value, "replaced", false);
+        index = this.flags.indexOf(this.blockSpec.error);
+      }
+      bits[index] = 1;
+    }
+    bits.forEach((bit) => writer.writeUint(bit, 1));
+  }
+  _binDecode(reader) {
+    const bits = this.flags.map(() => reader.readUint(1));
+    if (this.blockSpec.shape == "object")
+      return utils.fromEntries(
+        new Map(this.flags.map((flag, i) => [flag, bits[i] === 1]))
+      );
+    return this.flags.filter((flag, i) => bits[i] === 1);
+  }
+}
+
+class TimestampBlock extends BlockABC {
+  initVariables() {
+    this.input = ["date", "string", "number"];
+    this.required = { bits: "integer" };
+    this.optional = {
+      epoch: { type: ["string", "number"], default: 0 },
+      resolution: {
+        type: "string",
+        default: "s",
+        choices: ["s", "min", "hour"],
+      },
+      rollover: { type: "boolean", default: false },
+      output: { type: "string", default: "date", choices: ["date", "iso"] },
+    };
+  }
+
+  initializeBlock(blockSpec) {
+    this.epoch = this.toTime(blockSpec.epoch);
+    this.resolution = { s: 1000, min: 60000, hour: 3600000 }[
+      blockSpec.resolution
+    ];
+    this.range = Math.pow(2, this.bits);
+  }
+  /*
+   * Converts a Date, ISO string or epoch milliseconds to epoch milliseconds.
+   */
+  toTime(value) {
+    const time = new Date(value).getTime();
+    if (isNaN(time))
+      throw new RangeError(`Invalid timestamp ${JSON.stringify(value)}.`);
+    return time;
+  }
+  _binEncode(writer, value, trace) {
+    let ticks = Math.floor((this.toTime(value) - this.epoch) / this.resolution);
+    if (this.blockSpec.rollover) {
+      ticks = ((ticks % this.range) + this.range) % this.range;
+    } else if (ticks < 0 || ticks >= this.range) {
+      this.adjusted(trace, value, "clamped");
+      ticks = Math.min(this.range - 1, Math.max(0, ticks));
+    }
+    writer.writeUint(ticks, this.bits);
+  }
+  _binDecode(reader, trace) {
+    let ticks = reader.readUint(this.bits);
+    if (this.blockSpec.rollover) {
+      // Picks the timestamp closest to the reception time
+      const receivedAt =
+        trace && trace.options.receivedAt != null
+          ? this.toTime(trace.options.receivedAt)
+          : Date.now();
+      const reference = Math.floor((receivedAt - this.epoch) / this.resolution);
+      const half = this.range / 2;
+      const delta =
+        ((((ticks - reference + half) % this.range) + this.range) %
+          this.range) -
+        half;
+      ticks = reference + delta;
+    }
+    const date = new Date(this.epoch + ticks * this.resolution);
+    return this.blockSpec.output == "iso" ? date.toISOString() : date;
+  }
+}
+
+// Mean earth radius in metres
+const EARTH_RADIUS = 6371008.8;
+const METRES_PER_DEGREE = (Math.PI * EARTH_RADIUS) / 180;
+
+class GeoBlock extends BlockABC {
+  initVariables() {
+    this.input = ["object"];
+    this.optional = {
+      bbox: { type: "object", default: { lat: [-90, 90], lon: [-180, 180] } },
+      precision: { type: "number", default: 1 },
+      mode: {
+        type: "string",
+        default: "separate",
+        choices: ["separate", "morton", "geohash"],
+      },
+    };
+  }
+
+  initializeBlock(blockSpec) {
+    const bbox = blockSpec.bbox;
+    ["lat", "lon"].forEach((axis) => {
+      const limit = axis == "lat" ? 90 : 180;
+      if (
+        !Array.isArray(bbox[axis]) ||
+        bbox[axis].length != 2 ||
+        !bbox[axis].every((v) => utils.isNumber(v) && Math.abs(v) <= limit) ||
+        bbox[axis][0] >= bbox[axis][1]
+      )
+        throw new RangeError(
+          `Block ${blockSpec.key} 'bbox.${axis}' must be [min, max] within ±${limit}.`
+        );
+    });
+    if (!(blockSpec.precision > 0))
+      throw new RangeError(`Block ${blockSpec.key} 'precision' must be > 0.`);
+
+    // Longitude degrees are longest at the latitude closest to the equator,
+    // which gives the worst-case error
+    const minLat =
+      bbox.lat[0] <= 0 && bbox.lat[1] >= 0
+        ? 0
+        : Math.min(Math.abs(bbox.lat[0]), Math.abs(bbox.lat[1]));
+    this.metres = {
+      lat: METRES_PER_DEGREE,
+      lon: METRES_PER_DEGREE * Math.cos((minLat * Math.PI) / 180),
+    };
+    this.cells = blockSpec.mode == "geohash";
+
+    if (this.cells) {
+      // Geohash bisects longitude first, so it gets the extra bit
+      let bits = 1;
+      do {
+        bits++;
+        this.axisBits = { lat: Math.floor(bits / 2), lon: Math.ceil(bits / 2) };
+      } while (this.errorRadius() > blockSpec.precision && bits < 64);
+    } else {
+      this.axisBits = {};
+      ["lat", "lon"].forEach((axis) => {
+        let bits = 0;
+        do {
+          this.axisBits[axis] = ++bits;
+        } while (
+          this.axisError(axis) > blockSpec.precision / Math.SQRT2 &&
+          bits < 32
+        );
+      });
+    }
+    if (this.errorRadius() > blockSpec.precision)
+      throw new RangeError(
+        `Block ${blockSpec.key} 'precision' of ${blockSpec.precision}m is too fine.`
+      );
+    this.bits = this.axisBits.lat + this.axisBits.lon;
+    this.error = this.errorRadius();
+  }
+  /*
+   * Worst case error in metres along one axis.
+   */
+  axisError(axis) {
+    const bbox = this.blockSpec.bbox[axis];
+    const divisions = Math.pow(2, this.axisBits[axis]) - (this.cells ? 0 : 1);
+    return ((bbox[1] - bbox[0]) / divisions / 2) * this.metres[axis];
+  }
+  errorRadius() {
+    return Math.hypot(this.axisError("lat"), this.axisError("lon"));
+  }
+  quantize(axis, value) {
+    const [lower, upper] = this.blockSpec.bbox[axis];
+    const bits = this.axisBits[axis];
+    value = Math.min(upper, Math.max(lower, value));
+    if (this.cells)
+      return Math.min(
+        Math.pow(2, bits) - 1,
+        Math.floor((Math.pow(2, bits) * (value - lower)) / (upper - lower))
+      );
+    return utils.round2Even(
+      ((Math.pow(2, bits) - 1) * (value - lower)) / (upper - lower)
+    );
+  }
+  dequantize(axis, index) {
+    const [lower, upper] = this.blockSpec.bbox[axis];
+    const bits = this.axisBits[axis];
+    if (this.cells)
+      return lower + ((index + 0.5) * (upper - lower)) / Math.pow(2, bits);
+    return lower + (index * (upper - lower)) / (Math.pow(2, bits) - 1);
+  }
+  /*
+   * Order in which the bits of each axis are written, MSB first.
+   */
+  bitOrder() {
+    const { lat, lon } = this.axisBits;
+    if (this.blockSpec.mode == "separate")
+      return Array(lat).fill("lat").concat(Array(lon).fill("lon"));
+    const order = [];
+    for (let i = 0; i < Math.max(lat, lon); i++) {
+      if (i < lon) order.push("lon");
+      if (i < lat) order.push("lat");
+    }
+    return order;
+  }
+  _binEncode(writer, value, trace) {
+    const index = {};
+    ["lat", "lon"].forEach((axis) => {
+      const v = value[axis];
+      if (!utils.isNumber(v))
+        throw new RangeError(`Geo value must have numeric '${axis}'.`);
+      const [lower, upper] = this.blockSpec.bbox[axis];
+      if (v < lower || v > upper) this.adjusted(trace, value, "clamped");
+      index[axis] = this.quantize(axis, v);
+    });
+    const remaining = { lat: this.axisBits.lat, lon: this.axisBits.lon };
+    for (let axis of this.bitOrder()) {
+      remaining[axis]--;
+      writer.writeUint(
+        Math.floor(index[axis] / Math.pow(2, remaining[axis])) % 2,
+        1
+      );
+    }
+  }
+  _binDecode(reader) {
+    const index = { lat: 0, lon: 0 };
+    for (let axis of this.bitOrder())
+      index[axis] = index[axis] * 2 + reader.readUint(1);
+    return {
+      lat: this.dequantize("lat", index.lat),
+      lon: this.dequantize("lon", index.lon),
+      error: this.error,
+    };
+  }
+}
+
+class UnionBlock extends BlockABC {
+  initVariables() {
+    this.input = ["object"];
+    this.required = { variants: "array" };
+    this.optional = { tag: { type: "string", default: "type" } };
+  }
+
+  initializeBlock(blockSpec) {
+    const names = blockSpec.variants.map((variant) => {
+      if (
+        !utils.isObject(variant) ||
+        !utils.isString(variant.name) ||
+        !Array.isArray(variant.blocklist)
+      )
+        throw new RangeError(
+          `Block ${blockSpec.key} variants must have 'name' and 'blocklist'.`
+        );
+      const tagKey = (b_spec) =>
+        utils.isObject(b_spec) &&
+        utils.isString(b_spec.key) &&
+        (b_spec.key == blockSpec.tag ||
+          b_spec.key.startsWith(`${blockSpec.tag}.`));
+      if (variant.blocklist.some(tagKey))
+        throw new RangeError(
+          `Block ${blockSpec.key} variant ${variant.name} can't have the tag key '${blockSpec.tag}'.`
+        );
+      return variant.name;
+    });
+    if (names.length == 0 || new Set(names).size != names.length)
+      throw new RangeError(
+        `Block ${blockSpec.key} variants names must be unique.`
+      );
+    this.tagBlock = new Block({
+      key: blockSpec.tag,
+      type: "categories",
+      categories: names,
+    });
+    this.tagBits = this.tagBlock.sizeBits().max;
+    this.variants = utils.fromEntries(
+      blockSpec.variants.map((variant) => [
+        variant.name,
+        new Block({
+          key: variant.name,
+          type: "object",
+          blocklist: variant.blocklist,
+        }),
+      ])
+    );
+  }
+  _binEncode(writer, value, trace) {
+    const name = value[this.blockSpec.tag];
+    if (!Object.prototype.hasOwnProperty.call(this.variants, name))
+      throw new RangeError(
+        `Invalid tag ${name} for block ${this.blockSpec.key}.`
+      );
+    this.tagBlock.write(writer, name, trace && trace.child(this.blockSpec.tag));
+    this.variants[name].write(writer, value, trace);
+  }
+  _binDecode(reader, trace) {
+    const name = this.tagBlock.consume(
+      reader,
+      trace && trace.child(this.blockSpec.tag)
+    );
+    if (!(name in this.variants))
+      throw new RangeError(`Invalid tag for block ${this.blockSpec.key}.`);
+    let value = {};
+    value[this.blockSpec.tag] = name;
+    return Object.assign(value, this.variants[name].consume(reader, trace));
+  }
+  traceDecode(reader, trace) {
+    return this._binDecode(reader, trace);
+  }
+  reportEncode(writer, value, trace) {
+    this._binEncode(writer, value, trace);
+    return writer;
+  }
+  _accumulateBits(reader) {
+    reader = reader.clone();
+    const name = this.tagBlock.consume(reader);
+    if (!(name in this.variants))
+      throw new RangeError(`Invalid tag for block ${this.blockSpec.key}.`);
+    return this.tagBits + this.variants[name].accumulateBits(reader);
+  }
+  _sizeBits() {
+    const sizes = Object.values(this.variants).map((block) => block.sizeBits());
+    return {
+      min: this.tagBits + Math.min(...sizes.map((size) => size.min)),
+      max: this.tagBits + Math.max(...sizes.map((size) => size.max)),
+    };
+  }
+  _layout(path, offset) {
+    const tagKey = path ? `${path}.${this.blockSpec.tag}` : this.blockSpec.tag;
+    let fields = this.tagBlock.layout(tagKey, offset);
+    offset += this.tagBits;
+    for (const { name } of this.blockSpec.variants)
+      fields = fields.concat(
+        this.variants[name].layout(`${path}<${name}>`, offset)
+      );
+    return fields;
+  }
+}
+
+/*
+ * Replaces the {"$ref": name} blocks of blockSpec and of its nested blocks by
+ * a copy of definitions[name]. The key, alias, optional and when of the
+ * reference override those of the definition.
+ * @param {object} blockSpec Block specification.
+ * @param {object} definitions Map of names to block specifications.
+ * @param {array} stack Names being resolved, to detect recursion.
+ * @return {object} blockSpec without references.
+ * @throws ReferenceError, RangeError
+ */
+function resolveRefs(blockSpec, definitions, stack = []) {
+  if (!utils.isObject(blockSpec)) return blockSpec;
+  if ("$ref" in blockSpec) {
+    const name = blockSpec["$ref"];
+    if (!Object.prototype.hasOwnProperty.call(definitions, name))
+      throw new ReferenceError(`Unknown definition '${name}'.`);
+    if (stack.includes(name))
+      throw new RangeError(
+        `Recursive definition ${stack.concat(name).join(" -> ")}.`
+      );
+    const overrides = Object.keys(blockSpec).filter((key) => key != "$ref");
+    overrides.forEach((key) => {
+      if (!["key", "alias", "optional", "when"].includes(key))
+        throw new ReferenceError(
+          `Reference to '${name}' has an unexpected key '${key}'.`
+        );
+    });
+    const resolved = resolveRefs(
+      definitions[name],
+      definitions,
+      stack.concat(name)
+    );
+    return Object.assign(
+      {},
+      resolved,
+      ...overrides.map((key) => ({ [key]: blockSpec[key] }))
+    );
+  }
+  const resolve = (spec) => resolveRefs(spec, definitions, stack);
+  blockSpec = Object.assign({}, blockSpec);
+  if (Array.isArray(blockSpec.blocklist))
+    blockSpec.blocklist = blockSpec.blocklist.map(resolve);
+  if ("blocks" in blockSpec) blockSpec.blocks = resolve(blockSpec.blocks);
+  if (Array.isArray(blockSpec.variants))
+    blockSpec.variants = blockSpec.variants.map((variant) =>
+      Array.isArray(variant.blocklist)
+        ? Object.assign({}, variant, {
+            blocklist: variant.blocklist.map(resolve),
+          })
+        : variant
+    );
+  return blockSpec;
+}
+
 class Block {
-  constructor(blockSpec) {
+  /*
+   * @param {object} blockSpec Block specification.
+   * @param {object} definitions Block specifications of the $ref blocks.
+   * @param {boolean} inBlocklist Whether blockSpec is an entry of an object
+   * blocklist, the only blocks that can have 'when'.
+   */
+  constructor(blockSpec, definitions = {}, inBlocklist = false) {
     this.TYPES = {
       boolean: BooleanBlock,
       binary: BinaryBlock,
+      bytes: BytesBlock,
       integer: IntegerBlock,
+      varint: VarintBlock,
       float: FloatBlock,
+      decimal: DecimalBlock,
+      ieee754: IEEE754Block,
       pad: PadBlock,
       array: ArrayBlock,
       object: ObjectBlock,
       string: StringBlock,
       steps: StepsBlock,
       categories: CategoriesBlock,
+      flags: FlagsBlock,
+      timestamp: TimestampBlock,
+      geo: GeoBlock,
+      union: UnionBlock,
     };
-    this.blockSpec = JSON.parse(JSON.stringify(blockSpec));
-    this.validateBlockSpec(this.blockSpec);
-    this.block = new this.TYPES[blockSpec.type](this.blockSpec);
+    this.blockSpec = JSON.parse(
+      JSON.stringify(resolveRefs(blockSpec, definitions))
+    );
+    this.validateBlockSpec(this.blockSpec, inBlocklist);
+    this.block = new this.TYPES[this.blockSpec.type](this.blockSpec);
     this.block.validateBlockSpecKeys(this.blockSpec);
     this.block.initializeBlock(this.blockSpec);
+    this.write = this.block.write.bind(this.block);
     this.binEncode = this.block.binEncode.bind(this.block);
     this.binDecode = this.block.binDecode.bind(this.block);
     this.consume = this.block.consume.bind(this.block);
     this.accumulateBits = this.block.accumulateBits.bind(this.block);
+    this.sizeBits = this.block.sizeBits.bind(this.block);
+    this.layout = this.block.layout.bind(this.block);
   }
-  validateBlockSpec(blockSpec) {
+  validateBlockSpec(blockSpec, inBlocklist) {
     if (!("key" in blockSpec))
       throw new ReferenceError(
         `Block ${JSON.stringify(blockSpec)} must have 'key'.`
@@ -595,9 +2102,31 @@ class Block {
           blockSpec.type
         }, should be one of: ${Object.keys(this.TYPES).join(", ")}.`
       );
+    if ("optional" in blockSpec && !utils.isBoolean(blockSpec.optional))
+      throw new RangeError(
+        `Block ${blockSpec.key} 'optional' must be boolean.`
+      );
+    if ("when" in blockSpec) {
+      if (!inBlocklist)
+        throw new RangeError(
+          `Block ${blockSpec.key} can only have 'when' in an object blocklist.`
+        );
+      const when = blockSpec.when;
+      if (
+        !utils.isObject(when) ||
+        !utils.isString(when.key) ||
+        !("equals" in when || Array.isArray(when.in))
+      )
+        throw new RangeError(
+          `Block ${blockSpec.key} 'when' must have 'key' and 'equals' or 'in'.`
+        );
+    }
   }
 }
 
 module.exports.blocks = {
   Block,
+  resolveRefs,
+  Trace,
+  StrictModeError,
 };
@@ -25,6 +25,7 @@ SOFTWARE.
 */
 
 const { blocks } = require("./blocks.js");
+const { BitWriter, BitReader } = require("./bits.js").bits;
 const { utils } = require("./utils.js");
 
 /*
@@ -48,11 +49,24 @@ function decodeBlock(value, blockSpec) {
 }
 
 /*
- * Validates a payload specification, throwing errors if it is malformed.
+ * Validates a payload specification and its blocks, throwing errors if it
+ * is malformed.
  * @param {payloadSpec} block The block to be validated.
  * @throws ReferenceError, RangeError
  */
 function validatePayloadSpec(payloadSpec) {
+  buildPayloadBlocks(payloadSpec);
+}
+
+/*
+ * Validates a payload specification and builds its header and body blocks,
+ * so compile doesn't build them a second time.
+ * @param {object} payloadSpec Payload specifications.
+ * @param {string} key The key of the body block.
+ * @return {object} {header, body} blocks, header is null without meta.header.
+ * @throws ReferenceError, RangeError
+ */
+function buildPayloadBlocks(payloadSpec, key = "payload") {
   if (!("name" in payloadSpec))
     throw new ReferenceError(`payloadSpec must have key 'name'.`);
   if (typeof payloadSpec.name != "string")
@@ -65,32 +79,66 @@ function validatePayloadSpec(payloadSpec) {
     throw new ReferenceError(`payloadSpec must have key 'body'.`);
   if (!Array.isArray(payloadSpec.body))
     throw new RangeError(`payloadSpec 'body' must be an array.`);
+  let header = null;
   if ("meta" in payloadSpec) {
     if (!utils.isObject(payloadSpec.meta))
       throw new RangeError(`payloadSpec.meta must be an object.`);
     if ("crc8" in payloadSpec.meta && typeof payloadSpec.meta.crc8 != "boolean")
       throw new RangeError(`payloadSpec.meta.crc8 must be boolean.`);
+    if (
+      "strict" in payloadSpec.meta &&
+      typeof payloadSpec.meta.strict != "boolean"
+    )
+      throw new RangeError(`payloadSpec.meta.strict must be boolean.`);
     if ("header" in payloadSpec.meta) {
       if (!Array.isArray(payloadSpec.meta.header))
         throw new RangeError(`payloadSpec.meta.header must be an array.`);
-      validatePayloadSpec({
-        name: "header",
-        version: 0,
-        body: payloadSpec.meta.header,
-      });
+      header = buildPayloadBlocks(
+        {
+          name: "header",
+          version: 0,
+          body: payloadSpec.meta.header.filter(
+            (blockSpec) => !("value" in blockSpec)
+          ),
+          definitions: payloadSpec.definitions || {},
+        },
+        "header"
+      ).body;
     }
     let keys = Object.keys(payloadSpec.meta).filter(
       (key) =>
-        ["encode_version", "version_bits", "crc8", "header"].indexOf(key) == -1
+        ["encode_version", "version_bits", "crc8", "header", "strict"].indexOf(
+          key
+        ) == -1
     );
     if (keys.length)
       throw new RangeError(`Unexpected keys in payloadSpec ${keys}`);
   }
+  const definitions = payloadSpec.definitions || {};
+  if ("definitions" in payloadSpec) {
+    if (!utils.isObject(definitions))
+      throw new RangeError(`payloadSpec.definitions must be an object.`);
+    // Resolves every definition to reject the unused recursive ones
+    for (const [name, blockSpec] of Object.entries(definitions)) {
+      if (!utils.isObject(blockSpec))
+        throw new RangeError(
+          `payloadSpec.definitions.${name} must be an object.`
+        );
+      blocks.resolveRefs({ $ref: name }, definitions);
+    }
+  }
   let keys = Object.keys(payloadSpec).filter(
-    (key) => ["name", "body", "version", "meta"].indexOf(key) == -1
+    (key) =>
+      ["name", "body", "version", "meta", "definitions"].indexOf(key) == -1
   );
   if (keys.length)
     throw new RangeError(`Unexpected keys in payloadSpec ${keys}`);
+  // Building the blocks validates them, including the order of conditions
+  const body = new blocks.Block(
+    { key, type: "object", blocklist: payloadSpec.body },
+    definitions
+  );
+  return { header, body };
 }
 
 /*
@@ -115,156 +163,307 @@ function validatePayloadSpecs(payloadSpecs) {
 }
 
 /*
- * Encodes the payloadData according to payloadSpec.
- * @param {array} payloadData The object containing the values to be encoded.
- * @param {object} payloadSpec Payload specifications.
- * @return {string} message The message as a binary string.
+ * Converts the message bits to the output format.
+ * @param {BitWriter} message The message bits.
+ * @param {string} output the output message format (bytes|hex|bin)
+ * @return {Uint8Array|hex string|bin string} message
  */
-function binEncode(payloadData, payloadSpec) {
-  validatePayloadSpec(payloadSpec);
-  let meta = payloadSpec.meta || {};
-  let message = "";
-
-  if (meta.encode_version) {
-    message += encodeBlock(payloadSpec.version, {
-      key: "version",
-      type: "integer",
-      bits: meta.version_bits,
-    });
-  }
-
-  if (meta.header) {
-    message += new blocks.Block({
-      key: "header",
-      type: "object",
-      blocklist: meta.header.filter(
-        (blockSpec) => !blockSpec.hasOwnProperty("value")
-      ),
-    }).binEncode(payloadData);
-  }
-
-  message += new blocks.Block({
-    key: "payload",
-    type: "object",
-    blocklist: payloadSpec.body,
-  }).binEncode(payloadData);
+function writerToOutput(message, output) {
+  if (output === "bin") return message.toBin();
+  else if (output === "hex") return message.toHex();
+  else if (output === "bytes") return message.toBytes();
+  else
+    throw RangeError(
+      `Invalid output ${output}. Chose from 'bin', 'hex' or 'bytes'`
+    );
+}
 
-  message = message.padEnd(Math.ceil(message.length / 8) * 8, "0");
+/*
+ * Creates a BitReader for a message in the input format.
+ * @param {Uint8Array|hex string|bin string} message
+ * @param {string} input the input message format (bytes|hex|bin)
+ * @return {BitReader} message The message bits.
+ */
+function inputToReader(message, input) {
+  if (input === "bin") return BitReader.fromBin(message);
+  else if (input === "hex") return BitReader.fromHex(message);
+  else if (input === "bytes") return BitReader.fromBytes(message);
+  else
+    throw RangeError(
+      `Invalid input ${input}. Chose from 'bin', 'hex' or 'bytes'`
+    );
+}
 
-  if (meta.crc8) {
-    message += utils.crc8Encode(message);
-  }
-  return message;
+/*
+ * Accepts the options object in place of the message format.
+ * @param {string|object} format The message format or the options.
+ * @param {object} options Options.
+ * @param {string} key The options key of the format (input|output).
+ * @return {array} [format, options]
+ */
+function parseOptions(format, options, key) {
+  if (utils.isObject(format)) return [format[key] || "bytes", format];
+  return [format, options || {}];
 }
 
 /*
- * Decodes binary message according to payloadSpec.
- * @param {string} message The message as a binary string.
+ * Validates payloadSpec and builds its blocks once, returning a codec that
+ * can be reused for every message of that payloadSpec.
  * @param {object} payloadSpec Payload specifications.
- * @return {array} payloadData The object containing the decoded values.
+ * @return {object} codec with encode, decode, sizeOf, layout and spec members.
+ * @throws ReferenceError, RangeError
  */
-function binDecode(message, payloadSpec) {
-  validatePayloadSpec(payloadSpec);
-  let meta = payloadSpec.meta || {};
-  let msgMeta = {
-    name: payloadSpec.name,
-    version: payloadSpec.version,
-    message: "0x" + utils.binToHex(message),
-  };
+function compile(payloadSpec) {
+  const { header: headerBlock, body: bodyBlock } =
+    buildPayloadBlocks(payloadSpec);
+  const spec = JSON.parse(JSON.stringify(payloadSpec));
+  const meta = spec.meta || {};
+
+  const versionBlock = meta.encode_version
+    ? new blocks.Block({
+        key: "version",
+        type: "integer",
+        bits: meta.version_bits,
+      })
+    : null;
+  const staticHeader = (meta.header || [])
+    .filter((blockSpec) => "value" in blockSpec)
+    .reduce((acc, blockSpec) => {
+      acc[blockSpec.key] = blockSpec.value;
+      return acc;
+    }, {});
 
-  if (meta.crc8) {
-    msgMeta.crc8 = utils.crc8Validate(message);
-    message = message.slice(0, -8);
+  /*
+   * Encodes the payloadData according to payloadSpec.
+   * @param {array} payloadData The object containing the values to be encoded.
+   * @param {object} options {strict, report} strict overrides
+   * payloadSpec.meta.strict, report fills options.fields.
+   * @return {BitWriter} message The message bits.
+   */
+  function binEncode(payloadData, options) {
+    const fields = options.fields;
+    options = Object.assign({ strict: !!meta.strict }, options);
+    const trace = (section, path) =>
+      options.strict || options.report
+        ? new blocks.Trace(section, path, fields, options)
+        : null;
+    let message = new BitWriter();
+    if (versionBlock)
+      versionBlock.write(message, spec.version, trace("version", "version"));
+    if (headerBlock) headerBlock.write(message, payloadData, trace("header"));
+    bodyBlock.write(message, payloadData, trace("body"));
+    message.padToByte();
+    if (meta.crc8) {
+      message.writeUint(utils.crc8EncodeBytes(message.toBytes()), 8);
+    }
+    return message;
   }
 
-  if (meta.encode_version) {
-    [msgMeta.version, message] = new blocks.Block({
-      key: "version",
-      type: "integer",
-      bits: meta.version_bits,
-    }).consume(message);
-    if (msgMeta.version != payloadSpec.version)
-      throw RangeError(
-        `Received message version doesn't match. ${payloadSpec.version} != ${msgMeta.version}`
+  /*
+   * Decodes binary message according to payloadSpec.
+   * @param {BitReader} message The message bits.
+   * @param {object} options {trace, receivedAt} Lists every decoded field when
+   * trace is set. receivedAt resolves timestamps in rollover mode.
+   * @return {object} decoded The object containing the decoded values.
+   */
+  function binDecode(message, options) {
+    const fields = options.trace ? [] : null;
+    const trace = (section, path) =>
+      fields || options.receivedAt != null
+        ? new blocks.Trace(section, path, fields, options)
+        : null;
+    const bytes = message.bytes.subarray(0, (message.length + 7) >> 3);
+    let msgMeta = {
+      name: spec.name,
+      version: spec.version,
+      message: "0x" + utils.bytesToHex(bytes),
+    };
+
+    if (meta.crc8) {
+      msgMeta.crc8 = utils.crc8ValidateBytes(bytes);
+      message.length -= 8;
+    }
+
+    if (versionBlock) {
+      msgMeta.version = versionBlock.consume(
+        message,
+        trace("version", "version")
+      );
+      if (msgMeta.version != spec.version)
+        throw RangeError(
+          `Received message version doesn't match. ${spec.version} != ${msgMeta.version}`
+        );
+    }
+
+    if (headerBlock) {
+      msgMeta.header = Object.assign(
+        {},
+        headerBlock.consume(message, trace("header")),
+        staticHeader
       );
+    }
+
+    const decoded = {
+      meta: msgMeta,
+      body: bodyBlock.consume(message, trace("body")),
+    };
+    if (fields) decoded.trace = fields;
+    return decoded;
   }
 
-  if (meta.header) {
-    [msgMeta.header, message] = new blocks.Block({
-      key: "header",
-      type: "object",
-      blocklist: meta.header.filter((blockSpec) => !("value" in blockSpec)),
-    }).consume(message);
-    msgMeta.header = Object.assign(
-      {},
-      msgMeta.header,
-      meta.header
-        .filter((blockSpec) => "value" in blockSpec)
-        .reduce((acc, blockSpec) => {
-          acc[blockSpec.key] = blockSpec.value;
-          return acc;
-        }, {})
-    );
+  /*
+   * Calculates the minimum and maximum size of the messages.
+   * Bits count the encoded blocks, bytes also count the padding and crc8.
+   * @return {object} size {minBits, maxBits, minBytes, maxBytes}
+   */
+  function sizeOf() {
+    let min = 0;
+    let max = 0;
+    for (const block of [versionBlock, headerBlock, bodyBlock]) {
+      if (!block) continue;
+      const size = block.sizeBits();
+      min += size.min;
+      max += size.max;
+    }
+    const crcBytes = meta.crc8 ? 1 : 0;
+    return {
+      minBits: min,
+      maxBits: max,
+      minBytes: Math.ceil(min / 8) + crcBytes,
+      maxBytes: Math.ceil(max / 8) + crcBytes,
+    };
   }
 
-  let payloadData = new blocks.Block({
-    key: "payload",
-    type: "object",
-    blocklist: payloadSpec.body,
-  }).binDecode(message);
+  /*
+   * Lists the position of every field in the message. Arrays are expanded
+   * up to their maximum length, so offsets are those of the largest message.
+   * @return {array} fields [{section, key, type, offset, bits}]
+   */
+  function layout() {
+    let fields = [];
+    let offset = 0;
+    const sections = [
+      ["version", versionBlock, "version"],
+      ["header", headerBlock, ""],
+      ["body", bodyBlock, ""],
+    ];
+    for (const [section, block, path] of sections) {
+      if (!block) continue;
+      block.layout(path, offset).forEach((field) => {
+        fields.push(Object.assign({ section }, field));
+        offset = Math.max(offset, field.offset + field.bits);
+      });
+    }
+    const padding = (8 - (offset % 8)) % 8;
+    if (padding > 0) {
+      fields.push({
+        section: "padding",
+        key: "padding",
+        type: "pad",
+        offset,
+        bits: padding,
+      });
+      offset += padding;
+    }
+    if (meta.crc8)
+      fields.push({
+        section: "crc8",
+        key: "crc8",
+        type: "crc8",
+        offset,
+        bits: 8,
+      });
+    return fields;
+  }
 
-  return { meta: msgMeta, body: payloadData };
+  return {
+    spec,
+    encode: (payloadData, output = "bytes", options = {}) => {
+      [output, options] = parseOptions(output, options, "output");
+      if (!options.report)
+        return writerToOutput(binEncode(payloadData, options), output);
+      const report = [];
+      const message = binEncode(
+        payloadData,
+        Object.assign({}, options, { fields: report })
+      );
+      return { message: writerToOutput(message, output), report };
+    },
+    decode: (message, input = "bytes", options = {}) => {
+      [input, options] = parseOptions(input, options, "input");
+      return binDecode(inputToReader(message, input), options);
+    },
+    sizeOf,
+    layout,
+  };
 }
 
 /*
  * Encodes the payloadData according to payloadSpec.
  * @param {array} payloadData The object containing the values to be encoded.
  * @param {object} payloadSpec Payload specifications.
- * @param {string} output the output message format (bytes|hex|bin)
+ * @param {string|object} output the output message format (bytes|hex|bin) or
+ * the options object.
+ * @param {object} options {output, strict, report} With strict, values that
+ * would be clamped, truncated, padded or replaced throw StrictModeError
+ * instead. With report, returns {message, report} where report lists the
+ * value, encoded value, adjustments and quantization error of every field.
  * @return {Uint8Array|hex string|bin string} message
  */
-function encode(payloadData, payloadSpec, output = "bytes") {
-  let message = binEncode(payloadData, payloadSpec);
-  if (output === "bin") return message;
-  else if (output === "hex") return utils.binToHex(message);
-  else if (output === "bytes") return utils.hexToBytes(utils.binToHex(message));
-  else
-    throw RangeError(
-      `Invalid output ${output}. Chose from 'bin', 'hex' or 'bytes'`
-    );
+function encode(payloadData, payloadSpec, output = "bytes", options = {}) {
+  return compile(payloadSpec).encode(payloadData, output, options);
 }
 
 /*
  * Decodes message according to payloadSpec.
  * @param {Uint8Array|hex string|bin string} message
  * @param {object} payloadSpec Payload specifications.
- * @param {string} input the input message format (bytes|hex|bin)
+ * @param {string|object} input the input message format (bytes|hex|bin) or
+ * the options object.
+ * @param {object} options {input, trace, receivedAt} With trace, decoded.trace
+ * lists the section, key, type, offset, bits, raw bits, raw value and value of
+ * every field. receivedAt is the reception time used by timestamp blocks in
+ * rollover mode, defaults to now.
  * @return {object} decoded The object containing the decoded values.
  */
-function decode(message, payloadSpec, input = "bytes") {
-  if (input === "bin") return binDecode(message, payloadSpec);
-  else if (input === "hex")
-    return binDecode(utils.hexToBin(message), payloadSpec);
-  else if (input === "bytes")
-    return binDecode(utils.hexToBin(utils.bytesToHex(message)), payloadSpec);
-  else
-    throw RangeError(
-      `Invalid input ${input}. Chose from 'bin', 'hex' or 'bytes'`
-    );
+function decode(message, payloadSpec, input = "bytes", options = {}) {
+  return compile(payloadSpec).decode(message, input, options);
+}
+
+/*
+ * Calculates the minimum and maximum size of the messages of payloadSpec.
+ * Bits count the encoded blocks, bytes also count the padding and crc8.
+ * @param {object} payloadSpec Payload specifications.
+ * @return {object} size {minBits, maxBits, minBytes, maxBytes}
+ */
+function sizeOf(payloadSpec) {
+  return compile(payloadSpec).sizeOf();
+}
+
+/*
+ * Lists the position of every field in the messages of payloadSpec. Arrays
+ * are expanded up to their maximum length.
+ * @param {object} payloadSpec Payload specifications.
+ * @return {array} fields [{section, key, type, offset, bits}]
+ */
+function layout(payloadSpec) {
+  return compile(payloadSpec).layout();
 }
 
 /*
  * Decodes message according to one payloadSpec in payloadSpecs.
  * @param {Uint8Array|hex string|bin string} message
  * @param {array} payloadSpecs Array of payload specifications.
- * @param {string} input the input message format (bytes|hex|bin)
+ * @param {string|object} input the input message format (bytes|hex|bin) or
+ * the options object.
+ * @param {object} options The same options of decode.
  * @return {object} decoded The object containing the decoded values.
  */
-function decodeFromSpecs(message, payloadSpecs, input = "bytes") {
+function decodeFromSpecs(message, payloadSpecs, input = "bytes", options) {
   validatePayloadSpecs(payloadSpecs);
   for (let payloadSpec of payloadSpecs) {
     try {
-      return decode(message, payloadSpec, input);
+      return decode(message, payloadSpec, input, options);
     } catch (err) {
       // Ignore and try the next payloadSpec
     }
@@ -272,10 +471,14 @@ function decodeFromSpecs(message, payloadSpecs, input = "bytes") {
   throw RangeError("Message did not match any version.");
 }
 
+module.exports.compile = compile;
 module.exports.encodeBlock = encodeBlock;
 module.exports.decodeBlock = decodeBlock;
 module.exports.encode = encode;
 module.exports.decode = decode;
 module.exports.decodeFromSpecs = decodeFromSpecs;
+module.exports.sizeOf = sizeOf;
+module.exports.layout = layout;
 module.exports.utils = utils;
+module.exports.StrictModeError = blocks.StrictModeError;
 module.exports.validatePayloadSpec = validatePayloadSpec;
@@ -26,14 +26,36 @@ SOFTWARE.
 
 const { crc8 } = require("crc");
 
+/*
+ * Calculates the crc8 of a message.
+ * @param {Uint8Array} bytes The message.
+ * @return {integer} The crc8 byte.
+ */
+function crc8EncodeBytes(bytes) {
+  return crc8(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length));
+}
+
+/*
+ * Checks the crc8 stored in the last byte of a message.
+ * @param {Uint8Array} bytes The message including the crc8 byte.
+ * @return {boolean}
+ */
+function crc8ValidateBytes(bytes) {
+  return (
+    bytes.length > 0 &&
+    crc8EncodeBytes(bytes.subarray(0, -1)) === bytes[bytes.length - 1]
+  );
+}
+
+/*
+ * Calculates the crc8 of a binary message.
+ * @param {string} message The binary message.
+ * @return {string} The crc8 as 8 bits.
+ */
 function crc8Encode(message) {
-  hex = "";
-  for (let i = 0; i < message.length / 8; i++) {
-    hex += parseInt(message.substring(8 * i, 8 * (i + 1)), 2)
-      .toString(16)
-      .padStart(2, "0");
-  }
-  return crc8(Buffer.from(hex, "hex")).toString(2).padStart(8, "0");
+  return crc8EncodeBytes(hexToBytes(binToHex(message)))
+    .toString(2)
+    .padStart(8, "0");
 }
 
 function binToHex(message) {
@@ -74,6 +96,50 @@ function bytesToHex(uint8arr) {
   return hexStr;
 }
 
+/*
+ * Converts a number to IEEE 754 binary16 rounding to the nearest even.
+ * @param {number} value
+ * @return {integer} The 16 bits of the half precision float.
+ */
+function toHalf(value) {
+  if (Number.isNaN(value)) return 0x7e00;
+  const sign = value < 0 || Object.is(value, -0) ? 0x8000 : 0;
+  value = Math.abs(value);
+  // 65520 is halfway between the largest half (65504) and 2^16
+  if (value >= 65520) return sign | 0x7c00;
+  if (value < Math.pow(2, -14))
+    return sign | round2Even(value * Math.pow(2, 24));
+  let exponent = Math.floor(Math.log2(value));
+  if (value < Math.pow(2, exponent)) exponent -= 1;
+  else if (value >= Math.pow(2, exponent + 1)) exponent += 1;
+  let mantissa = round2Even((value / Math.pow(2, exponent) - 1) * 1024);
+  if (mantissa == 1024) {
+    mantissa = 0;
+    exponent += 1;
+  }
+  if (exponent > 15) return sign | 0x7c00;
+  return sign | ((exponent + 15) << 10) | mantissa;
+}
+
+/*
+ * Converts IEEE 754 binary16 bits to a number.
+ * @param {integer} half The 16 bits of the half precision float.
+ * @return {number}
+ */
+function fromHalf(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  if (exponent == 0) return sign * mantissa * Math.pow(2, -24);
+  if (exponent == 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * Math.pow(2, exponent - 15);
+}
+
+function round2Even(n) {
+  const round = Math.round(n);
+  return Math.abs(n % 1) === 0.5 && round % 2 !== 0 ? round - 1 : round;
+}
+
 function fromEntries(iterable) {
   return [...iterable].reduce((obj, [key, val]) => {
     obj[key] = val;
@@ -89,20 +155,17 @@ module.exports.utils = {
     Object.prototype.toString.call(value) === "[object Object]",
   isSorted: (array) =>
     array.every((val, idx, arr) => idx === 0 || arr[idx - 1] <= val),
-  round2Even: (n) => {
-    const round = Math.round(n);
-    return n.toString().replace(/.*\./, "") == 5
-      ? round % 2 == 1
-        ? round - 1
-        : round
-      : round;
-  },
+  round2Even,
   crc8Encode,
   crc8Validate: (message) =>
     crc8Encode(message.slice(0, -8)) === message.slice(-8),
+  crc8EncodeBytes,
+  crc8ValidateBytes,
   binToHex,
   hexToBytes,
   hexToBin,
   bytesToHex,
   fromEntries,
+  toHalf,
+  fromHalf,
 };
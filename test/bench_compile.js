@@ -0,0 +1,83 @@
+/*
+SPOS - Small Payload Object Serializer
+
+MIT License
+
+Copyright (c) 2020 [Luiz Eduardo Amaral](luizamaral306@gmail.com)
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/* Compares encode/decode against a codec from spos.compile */
+const spos = require("../spos/index.js");
+
+const ITERATIONS = 20000;
+
+const payloadSpec = {
+  name: "benchmark",
+  version: 1,
+  meta: { encode_version: true, version_bits: 4, crc8: true },
+  body: [
+    { key: "timestamp", type: "integer", bits: 32 },
+    { key: "voltage", type: "float", bits: 8, lower: 10, upper: 13 },
+    {
+      key: "readings",
+      type: "array",
+      length: 15,
+      blocks: { key: "reading", type: "float", bits: 10, upper: 100 },
+    },
+    {
+      key: "status",
+      type: "categories",
+      categories: ["ok", "warning", "error"],
+    },
+    { key: "label", type: "string", length: 8 },
+  ],
+};
+const payloadData = {
+  timestamp: 1234567890,
+  voltage: 12.1,
+  readings: [1.5, 20.25, 33, 47.75, 50, 66.5, 80, 99],
+  status: "warning",
+  label: "gateway",
+};
+
+function bench(name, fn) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < ITERATIONS; i++) fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(
+    `${name.padEnd(16)} ${ms.toFixed(1).padStart(8)} ms ` +
+      `${Math.round((ITERATIONS / ms) * 1000)
+        .toString()
+        .padStart(8)} msg/s`
+  );
+  return ms;
+}
+
+const codec = spos.compile(payloadSpec);
+const message = codec.encode(payloadData);
+
+const encodeMs = bench("encode", () => spos.encode(payloadData, payloadSpec));
+const codecEncodeMs = bench("codec.encode", () => codec.encode(payloadData));
+const decodeMs = bench("decode", () => spos.decode(message, payloadSpec));
+const codecDecodeMs = bench("codec.decode", () => codec.decode(message));
+
+console.log(`encode speedup: ${(encodeMs / codecEncodeMs).toFixed(1)}x`);
+console.log(`decode speedup: ${(decodeMs / codecDecodeMs).toFixed(1)}x`);
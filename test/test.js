@@ -171,6 +171,109 @@ describe("Encodes/Decodes Block", () => {
       assert.throws(() => spos.encodeBlock(t, block), RangeError);
     });
   });
+  describe("Encodes/Decodes Bytes", () => {
+    it("Encodes/Decodes fixed Bytes", () => {
+      const block = { key: "key", type: "bytes", length: 3 };
+      const t = new Uint8Array([0xde, 0xad, 0x01]);
+      const a = "110111101010110100000001";
+      assert.equal(spos.encodeBlock(t, block), a);
+      assert.equal(spos.encodeBlock(Buffer.from(t), block), a);
+      assert.equal(spos.encodeBlock(t.buffer, block), a);
+      assert.deepEqual(spos.decodeBlock(a, block), t);
+      assert.equal(
+        spos.encodeBlock(new Uint8Array([0xde]), block),
+        "110111100000000000000000"
+      );
+      assert.equal(
+        spos.encodeBlock(new Uint8Array([1, 2, 3, 4]), block),
+        "000000010000001000000011"
+      );
+    });
+    it("Encodes/Decodes length prefixed Bytes", () => {
+      const block = { key: "blob", type: "bytes", length: 4, fixed: false };
+      const t = new Uint8Array([0xde, 0xad]);
+      const a = "010" + "1101111010101101";
+      assert.equal(spos.encodeBlock(t, block), a);
+      assert.deepEqual(spos.decodeBlock(a, block), t);
+      assert.equal(spos.encodeBlock(new Uint8Array(), block), "000");
+    });
+    it("Decodes Bytes to hex", () => {
+      const block = { key: "key", type: "bytes", length: 2, output: "hex" };
+      assert.equal(spos.decodeBlock("1101111000000001", block), "de01");
+    });
+    it("Encodes/Decodes Bytes in payloads", () => {
+      const payloadSpec = {
+        name: "bytes",
+        version: 0,
+        body: [
+          { key: "firmware", type: "bytes", length: 8, fixed: false },
+          {
+            key: "keys",
+            type: "object",
+            blocklist: [{ key: "public", type: "bytes", length: 2 }],
+          },
+        ],
+      };
+      const payloadData = {
+        firmware: new Uint8Array([1, 2, 3]),
+        keys: { public: new Uint8Array([0xff, 0x10]) },
+      };
+      const decoded = spos.decode(
+        spos.encode(payloadData, payloadSpec),
+        payloadSpec
+      );
+      assert.deepEqual(decoded.body, payloadData);
+      assert.deepEqual(spos.sizeOf(payloadSpec), {
+        minBits: 20,
+        maxBits: 84,
+        minBytes: 3,
+        maxBytes: 11,
+      });
+      const report = spos.encode(payloadData, payloadSpec, {
+        report: true,
+      }).report;
+      assert.deepEqual(
+        report.map((field) => field.adjustments),
+        [[], []]
+      );
+      assert.throws(
+        () =>
+          spos.encode(
+            { firmware: new Uint8Array(9), keys: payloadData.keys },
+            payloadSpec,
+            { strict: true }
+          ),
+        spos.StrictModeError
+      );
+    });
+    it("Decodes Bytes under dotted keys as Uint8Array", () => {
+      const payloadSpec = {
+        name: "bytes",
+        version: 0,
+        body: [
+          { key: "blob.data", type: "bytes", length: 2 },
+          { key: "blob.ok", type: "boolean" },
+        ],
+      };
+      const payloadData = { blob: { data: new Uint8Array([1, 2]), ok: true } };
+      const decoded = spos.decode(
+        spos.encode(payloadData, payloadSpec),
+        payloadSpec
+      );
+      assert.instanceOf(decoded.body.blob.data, Uint8Array);
+      assert.deepEqual(decoded.body, payloadData);
+    });
+    it("Throws an error for values that are not bytes", () => {
+      const block = { key: "key", type: "bytes", length: 2 };
+      assert.throws(() => spos.encodeBlock("de01", block), RangeError);
+      assert.throws(() => spos.encodeBlock([1, 2], block), RangeError);
+      const output = Object.assign({ output: "base64" }, block);
+      assert.throws(
+        () => spos.encodeBlock(new Uint8Array(2), output),
+        RangeError
+      );
+    });
+  });
   describe("Encodes/Decodes Integer", () => {
     it("Encodes/Decodes an integer", () => {
       const block = {
@@ -247,6 +350,228 @@ describe("Encodes/Decodes Block", () => {
       assert.equal(spos.encodeBlock(t, block), a);
       assert.equal(spos.decodeBlock(a, block), t_dec);
     });
+    it("Encodes/Decodes a negative integer in remainder mode", () => {
+      const block = {
+        key: "integer remainder negative",
+        type: "integer",
+        bits: 4,
+        mode: "remainder",
+      };
+      const t = -3;
+      const a = "1101";
+      const t_dec = 13;
+      assert.equal(spos.encodeBlock(t, block), a);
+      assert.equal(spos.decodeBlock(a, block), t_dec);
+    });
+    it("Encodes/Decodes a two's complement integer", () => {
+      const block = {
+        key: "int8",
+        type: "integer",
+        bits: 8,
+        signed: true,
+      };
+      [
+        [-1, "11111111"],
+        [-128, "10000000"],
+        [127, "01111111"],
+        [5, "00000101"],
+      ].forEach(([t, a]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.equal(spos.decodeBlock(a, block), t);
+      });
+    });
+    it("Encodes/Decodes a zigzag integer", () => {
+      const block = {
+        key: "zigzag",
+        type: "integer",
+        bits: 4,
+        signed: "zigzag",
+      };
+      [
+        [0, "0000"],
+        [-1, "0001"],
+        [1, "0010"],
+        [-8, "1111"],
+        [7, "1110"],
+      ].forEach(([t, a]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.equal(spos.decodeBlock(a, block), t);
+      });
+    });
+    it("Clamps signed integers", () => {
+      const block = {
+        key: "int4",
+        type: "integer",
+        bits: 4,
+        signed: "twos_complement",
+        offset: 10,
+      };
+      assert.equal(spos.encodeBlock(0, block), "1000");
+      assert.equal(spos.encodeBlock(20, block), "0111");
+      assert.equal(spos.decodeBlock("1000", block), 2);
+      assert.equal(spos.decodeBlock("0111", block), 17);
+    });
+    it("Encodes/Decodes signed integers in remainder mode", () => {
+      const twos = {
+        key: "int4 remainder",
+        type: "integer",
+        bits: 4,
+        signed: true,
+        mode: "remainder",
+      };
+      assert.equal(spos.encodeBlock(9, twos), "1001");
+      assert.equal(spos.decodeBlock("1001", twos), -7);
+      assert.equal(spos.encodeBlock(-9, twos), "0111");
+      assert.equal(spos.decodeBlock("0111", twos), 7);
+      const zigzag = Object.assign({}, twos, { signed: "zigzag" });
+      assert.equal(spos.encodeBlock(-10, zigzag), "1100");
+      assert.equal(spos.decodeBlock("1100", zigzag), 6);
+    });
+    it("Throws an error for an unknown signed encoding", () => {
+      const block = {
+        key: "int4",
+        type: "integer",
+        bits: 4,
+        signed: "ones_complement",
+      };
+      assert.throws(() => spos.encodeBlock(1, block), RangeError);
+    });
+    it("Checks the range of signed integers in strict mode", () => {
+      const payloadSpec = {
+        name: "signed strict",
+        version: 0,
+        body: [{ key: "int8", type: "integer", bits: 8, signed: true }],
+      };
+      assert.doesNotThrow(() =>
+        spos.encode({ int8: -128 }, payloadSpec, { strict: true })
+      );
+      assert.throws(
+        () => spos.encode({ int8: 128 }, payloadSpec, { strict: true }),
+        spos.StrictModeError
+      );
+      assert.throws(
+        () => spos.encode({ int8: -129 }, payloadSpec, { strict: true }),
+        spos.StrictModeError
+      );
+      const decoded = spos.decode(
+        spos.encode({ int8: -100 }, payloadSpec),
+        payloadSpec
+      );
+      assert.equal(decoded.body.int8, -100);
+    });
+  });
+  describe("Encodes/Decodes Varint", () => {
+    const codes = {
+      gamma: { key: "n", type: "varint" },
+      delta: { key: "n", type: "varint", code: "delta" },
+      exp_golomb: { key: "n", type: "varint", code: "exp_golomb", k: 2 },
+      nibble: { key: "n", type: "varint", code: "nibble" },
+    };
+    it("Encodes/Decodes Elias gamma codes", () => {
+      const block = codes.gamma;
+      [
+        [0, "1"],
+        [1, "010"],
+        [4, "00101"],
+        [8, "0001001"],
+      ].forEach(([t, a]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.equal(spos.decodeBlock(a, block), t);
+      });
+    });
+    it("Encodes/Decodes Elias delta codes", () => {
+      const block = codes.delta;
+      [
+        [0, "1"],
+        [1, "0100"],
+        [4, "01101"],
+        [15, "001010000"],
+      ].forEach(([t, a]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.equal(spos.decodeBlock(a, block), t);
+      });
+    });
+    it("Encodes/Decodes Exp-Golomb codes", () => {
+      const block = codes.exp_golomb;
+      [
+        [0, "100"],
+        [3, "111"],
+        [4, "01000"],
+        [13, "0010001"],
+      ].forEach(([t, a]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.equal(spos.decodeBlock(a, block), t);
+      });
+    });
+    it("Encodes/Decodes nibble varints", () => {
+      const block = codes.nibble;
+      [
+        [0, "0000"],
+        [7, "0111"],
+        [8, "10000001"],
+        [100, "110011000001"],
+      ].forEach(([t, a]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.equal(spos.decodeBlock(a, block), t);
+      });
+    });
+    it("Encodes/Decodes large values", () => {
+      Object.values(codes).forEach((block) => {
+        [1e6, 2 ** 40 + 3, Number.MAX_SAFE_INTEGER - 1].forEach((t) => {
+          assert.equal(spos.decodeBlock(spos.encodeBlock(t, block), block), t);
+        });
+        assert.equal(spos.decodeBlock(spos.encodeBlock(-5, block), block), 0);
+      });
+    });
+    it("Encodes/Decodes varints in arrays and objects", () => {
+      const payloadSpec = {
+        name: "varint",
+        version: 0,
+        body: [
+          {
+            key: "counters",
+            type: "array",
+            length: 7,
+            blocks: codes.delta,
+          },
+          {
+            key: "totals",
+            type: "object",
+            blocklist: [
+              Object.assign({}, codes.exp_golomb, { key: "a" }),
+              Object.assign({}, codes.nibble, { key: "b" }),
+            ],
+          },
+          { key: "flag", type: "boolean" },
+        ],
+      };
+      const payloadData = {
+        counters: [0, 1, 2, 300, 5, 70000],
+        totals: { a: 9, b: 12345 },
+        flag: true,
+      };
+      const decoded = spos.decode(
+        spos.encode(payloadData, payloadSpec),
+        payloadSpec
+      );
+      assert.deepEqual(decoded.body, payloadData);
+      const size = spos.sizeOf(payloadSpec);
+      assert.equal(size.minBits, 3 + 3 + 4 + 1);
+      assert.equal(size.maxBits, 3 + 7 * 63 + 105 + 72 + 1);
+    });
+    it("Throws an error for invalid varints", () => {
+      assert.throws(() => spos.decodeBlock("000", codes.gamma), RangeError);
+      assert.throws(
+        () => spos.decodeBlock("0".repeat(60) + "1", codes.gamma),
+        RangeError
+      );
+      assert.throws(() => spos.decodeBlock("1000", codes.nibble), RangeError);
+      assert.throws(() => spos.encodeBlock(1.5, codes.gamma), RangeError);
+      const k = Object.assign({}, codes.exp_golomb, { k: -1 });
+      assert.throws(() => spos.encodeBlock(1, k), RangeError);
+      const code = Object.assign({}, codes.gamma, { code: "rice" });
+      assert.throws(() => spos.encodeBlock(1, code), RangeError);
+    });
   });
   describe("Encodes/Decodes Float", () => {
     it("Encodes/Decodes a float value", () => {
@@ -260,6 +585,19 @@ describe("Encodes/Decodes Block", () => {
       assert.equal(spos.encodeBlock(t, block), a);
       assert.closeTo(spos.decodeBlock(a, block), t, DELTA);
     });
+    it("Rounds only exact halves to even", () => {
+      // Integer values ending in 5 used to be rounded down as if they were .5
+      const block = { key: "float", type: "float", bits: 4, upper: 15 };
+      [
+        [5, "0101"],
+        [4.5, "0100"],
+        [5.5, "0110"],
+        [5.25, "0101"],
+        [15, "1111"],
+      ].forEach(([t, a]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+      });
+    });
     it("Encodes/Decodes a float with floor approximation", () => {
       const block = {
         key: "float floor",
@@ -348,8 +686,332 @@ describe("Encodes/Decodes Block", () => {
       assert.equal(spos.encodeBlock(t, block), a);
       assert.closeTo(spos.decodeBlock(a, block), t_dec, DELTA);
     });
+    it("Encodes/Decodes a float with log scale", () => {
+      const block = {
+        key: "lux",
+        type: "float",
+        bits: 8,
+        lower: 1,
+        upper: 100000,
+        scale: "log",
+      };
+      [
+        [10, "00110011", 10],
+        [100, "01100110", 100],
+        [5, "00100100", 5.0802],
+      ].forEach(([t, a, t_dec]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.closeTo(spos.decodeBlock(a, block), t_dec, 1e-4);
+      });
+      assert.equal(spos.encodeBlock(0, block), "00000000");
+      assert.equal(spos.encodeBlock(1e9, block), "11111111");
+      assert.closeTo(spos.decodeBlock("11111111", block), 100000, 1e-6);
+    });
+    it("Encodes/Decodes a float with sqrt scale", () => {
+      const block = {
+        key: "counts",
+        type: "float",
+        bits: 8,
+        upper: 100,
+        scale: "sqrt",
+        approximation: "floor",
+      };
+      const a = "00011001";
+      assert.equal(spos.encodeBlock(1, block), a);
+      assert.closeTo(spos.decodeBlock(a, block), 0.9611, 1e-4);
+      assert.equal(spos.encodeBlock(100, block), "11111111");
+      assert.equal(spos.decodeBlock("11111111", block), 100);
+    });
+    it("Encodes/Decodes a float with piecewise linear scale", () => {
+      const block = {
+        key: "power",
+        type: "float",
+        bits: 8,
+        upper: 1000,
+        scale: "piecewise",
+        breakpoints: [
+          [10, 0.5],
+          [100, 0.8],
+        ],
+      };
+      [
+        [5, "01000000", 5.0196],
+        [50, "10100010", 50.5882],
+        [100, "11001100", 100],
+        [1000, "11111111", 1000],
+      ].forEach(([t, a, t_dec]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.closeTo(spos.decodeBlock(a, block), t_dec, 1e-4);
+      });
+    });
+    it("Encodes/Decodes a wrapping float", () => {
+      const block = {
+        key: "heading",
+        type: "float",
+        bits: 8,
+        upper: 360,
+        wrap: true,
+      };
+      [
+        [0, "00000000", 0],
+        [180, "10000000", 180],
+        [359.9, "00000000", 0],
+        [360, "00000000", 0],
+        [-90, "11000000", 270],
+        [765, "00100000", 45],
+      ].forEach(([t, a, t_dec]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.equal(spos.decodeBlock(a, block), t_dec);
+      });
+      assert.equal(spos.decodeBlock("11111111", block), 358.59375);
+      const payloadSpec = { name: "wrap", version: 0, body: [block] };
+      const report = spos.encode({ heading: -90 }, payloadSpec, {
+        strict: true,
+        report: true,
+      }).report;
+      assert.deepEqual(report[0].adjustments, ["wrapped"]);
+      [
+        [359.9, 0, 0.1],
+        [370, 9.84375, -0.15625],
+        [-90, 270, 0],
+      ].forEach(([t, encoded, error]) => {
+        const field = spos.encode({ heading: t }, payloadSpec, {
+          report: true,
+        }).report[0];
+        assert.equal(field.encoded, encoded);
+        assert.closeTo(field.quantizationError, error, 1e-9);
+      });
+      const log = Object.assign({}, block, { lower: 1, scale: "log" });
+      assert.throws(() => spos.encodeBlock(10, log), RangeError);
+    });
+    it("Throws an error for invalid float scales", () => {
+      const block = { key: "float", type: "float", bits: 8 };
+      [
+        { scale: "exp" },
+        { scale: "log" },
+        { scale: "sqrt", lower: -1 },
+        { scale: "piecewise" },
+        { breakpoints: [[0.5, 0.5]] },
+        { scale: "piecewise", breakpoints: [[0.5, 1.5]] },
+        {
+          scale: "piecewise",
+          breakpoints: [
+            [0.7, 0.5],
+            [0.6, 0.6],
+          ],
+        },
+        { scale: "piecewise", breakpoints: [0.5] },
+      ].forEach((spec) => {
+        assert.throws(
+          () => spos.encodeBlock(0.5, Object.assign({}, block, spec)),
+          RangeError
+        );
+      });
+    });
   });
 
+  describe("Encodes/Decodes Decimal", () => {
+    const block = {
+      key: "temperature",
+      type: "decimal",
+      lower: -40,
+      upper: 85,
+      resolution: 0.1,
+    };
+    it("Derives the bits from the resolution", () => {
+      const a = "01001100101";
+      assert.equal(spos.encodeBlock(21.3, block), a);
+      assert.equal(spos.decodeBlock(a, block), 21.3);
+      assert.equal(spos.encodeBlock(-40, block), "00000000000");
+      assert.equal(spos.decodeBlock("10011100010", block), 85);
+    });
+    it("Decodes exact decimal values", () => {
+      [21.299999, 0.15, -0.05, 1.7, -12.3].forEach((t) => {
+        const decoded = spos.decodeBlock(spos.encodeBlock(t, block), block);
+        assert.equal(String(decoded), String(decoded.toFixed(1) * 1));
+      });
+      assert.equal(spos.decodeBlock(spos.encodeBlock(0.15, block), block), 0.2);
+      assert.isTrue(
+        Object.is(spos.decodeBlock(spos.encodeBlock(-0.05, block), block), 0)
+      );
+      const fine = {
+        key: "v",
+        type: "decimal",
+        lower: 0,
+        upper: 1,
+        resolution: 0.003,
+      };
+      assert.equal(spos.decodeBlock(spos.encodeBlock(0.5, fine), fine), 0.501);
+      assert.equal(spos.decodeBlock(spos.encodeBlock(1, fine), fine), 0.999);
+    });
+    it("Never decodes values above upper", () => {
+      const coarse = {
+        key: "v",
+        type: "decimal",
+        lower: 0,
+        upper: 1,
+        resolution: 0.3,
+      };
+      [1.1, 5, 1, 0.95].forEach((t) => {
+        assert.equal(spos.encodeBlock(t, coarse), "11");
+      });
+      assert.equal(spos.decodeBlock("11", coarse), 0.9);
+      const payloadSpec = { name: "decimal", version: 0, body: [coarse] };
+      const { report } = spos.encode({ v: 1.1 }, payloadSpec, {
+        report: true,
+      });
+      assert.deepEqual(report[0].adjustments, ["clamped"]);
+      assert.equal(report[0].encoded, 0.9);
+      assert.equal(report[0].quantizationError, -0.2);
+      const fineSpec = { name: "decimal", version: 0, body: [block] };
+      const quantized = spos.encode({ temperature: 21.34 }, fineSpec, {
+        report: true,
+      }).report[0];
+      assert.equal(quantized.quantizationError, -0.04);
+    });
+    it("Reports the bits and clamps values in the inspection APIs", () => {
+      const payloadSpec = { name: "decimal", version: 0, body: [block] };
+      assert.deepEqual(spos.layout(payloadSpec)[0], {
+        section: "body",
+        key: "temperature",
+        type: "decimal",
+        offset: 0,
+        bits: 11,
+      });
+      assert.equal(spos.sizeOf(payloadSpec).maxBits, 11);
+      const { report } = spos.encode({ temperature: 100 }, payloadSpec, {
+        report: true,
+      });
+      assert.deepEqual(report[0].adjustments, ["clamped"]);
+      assert.equal(report[0].encoded, 85);
+    });
+    it("Throws an error for invalid resolutions", () => {
+      [
+        { resolution: 0 },
+        { upper: -40 },
+        { resolution: 1e-20 },
+        { resolution: "0.1" },
+      ].forEach((spec) => {
+        assert.throws(
+          () => spos.encodeBlock(1, Object.assign({}, block, spec)),
+          RangeError
+        );
+      });
+      const missing = Object.assign({}, block);
+      delete missing.resolution;
+      assert.throws(() => spos.encodeBlock(1, missing), ReferenceError);
+    });
+  });
+  describe("Encodes/Decodes IEEE 754", () => {
+    it("Encodes/Decodes a float16", () => {
+      const block = { key: "half", type: "ieee754", bits: 16 };
+      [
+        [1, "0011110000000000"],
+        [-2, "1100000000000000"],
+        [65504, "0111101111111111"],
+        [Math.pow(2, -24), "0000000000000001"],
+        [Math.pow(2, -14), "0000010000000000"],
+        [Infinity, "0111110000000000"],
+        [-Infinity, "1111110000000000"],
+      ].forEach(([t, a]) => {
+        assert.equal(spos.encodeBlock(t, block), a);
+        assert.equal(spos.decodeBlock(a, block), t);
+      });
+    });
+    it("Rounds a float16 to the nearest even", () => {
+      const block = { key: "half", type: "ieee754", bits: 16 };
+      assert.equal(spos.encodeBlock(1 + 1 / 2048, block), "0011110000000000");
+      assert.equal(spos.encodeBlock(1 + 3 / 2048, block), "0011110000000010");
+      assert.equal(spos.encodeBlock(65520, block), "0111110000000000");
+      assert.equal(
+        spos.encodeBlock(Math.pow(2, -25), block),
+        "0000000000000000"
+      );
+      assert.equal(
+        spos.decodeBlock(spos.encodeBlock(0.1, block), block),
+        0.0999755859375
+      );
+    });
+    it("Encodes/Decodes every float16 value", () => {
+      const block = new (require("../spos/blocks.js").blocks.Block)({
+        key: "half",
+        type: "ieee754",
+        bits: 16,
+      });
+      for (let half = 0; half < 0x10000; half += 7) {
+        const a = half.toString(2).padStart(16, "0");
+        const value = block.binDecode(a);
+        if (Number.isNaN(value)) continue;
+        assert.equal(block.binEncode(value), a);
+      }
+    });
+    it("Encodes/Decodes NaN and negative zero", () => {
+      [16, 32, 64].forEach((bits) => {
+        const block = { key: "nan", type: "ieee754", bits };
+        assert.isNaN(spos.decodeBlock(spos.encodeBlock(NaN, block), block));
+        const zero = spos.decodeBlock(spos.encodeBlock(-0, block), block);
+        assert.isTrue(Object.is(zero, -0));
+      });
+    });
+    it("Encodes/Decodes a float32", () => {
+      const block = { key: "single", type: "ieee754", bits: 32 };
+      const a = "00111111100000000000000000000000";
+      assert.equal(spos.encodeBlock(1, block), a);
+      assert.equal(spos.decodeBlock(a, block), 1);
+      assert.equal(
+        spos.decodeBlock(spos.encodeBlock(0.1, block), block),
+        Math.fround(0.1)
+      );
+      const subnormal = Math.pow(2, -149);
+      assert.equal(
+        spos.encodeBlock(subnormal, block),
+        "00000000000000000000000000000001"
+      );
+    });
+    it("Encodes/Decodes a float64", () => {
+      const block = { key: "double", type: "ieee754", bits: 64 };
+      [0.1, -1e308, Number.MIN_VALUE, Math.PI].forEach((t) => {
+        assert.equal(spos.decodeBlock(spos.encodeBlock(t, block), block), t);
+      });
+      assert.equal(
+        spos.encodeBlock(1, block),
+        "0011111111110" + "0".repeat(51)
+      );
+    });
+    it("Encodes/Decodes little endian floats", () => {
+      const block = {
+        key: "little",
+        type: "ieee754",
+        bits: 32,
+        byte_order: "little",
+      };
+      const a = "00000000000000001000000000111111";
+      assert.equal(spos.encodeBlock(1, block), a);
+      assert.equal(spos.decodeBlock(a, block), 1);
+      const half = Object.assign({}, block, { bits: 16 });
+      assert.equal(spos.encodeBlock(1, half), "0000000000111100");
+    });
+    it("Encodes/Decodes a float in a payload", () => {
+      const payloadSpec = {
+        name: "ieee754",
+        version: 0,
+        body: [
+          { key: "flag", type: "boolean" },
+          { key: "value", type: "ieee754", bits: 64 },
+        ],
+      };
+      const payloadData = { flag: true, value: -123.456 };
+      const decoded = spos.decode(
+        spos.encode(payloadData, payloadSpec),
+        payloadSpec
+      );
+      assert.deepEqual(decoded.body, payloadData);
+    });
+    it("Throws an error for unsupported bits", () => {
+      const block = { key: "float", type: "ieee754", bits: 24 };
+      assert.throws(() => spos.encodeBlock(1, block), RangeError);
+    });
+  });
   describe("Encodes/Decodes Pad", () => {
     it("Pads message with length 2", () => {
       const block = {
@@ -726,6 +1388,222 @@ describe("Encodes/Decodes Block", () => {
       assert.equal(spos.encodeBlock(t, block), a);
       assert.equal(spos.decodeBlock(a, block), t_dec);
     });
+    it("Replaces unknown characters with a custom index 63", () => {
+      const block = {
+        key: "message",
+        type: "string",
+        length: 4,
+        custom_alphabeth: { 63: "?" },
+      };
+      const a = "011010111111011011111111";
+      assert.equal(spos.encodeBlock("a#b?", block), a);
+      assert.equal(spos.decodeBlock(a, block), "a?b?");
+    });
+    it("Encodes/Decodes String with the digits and uppercase charsets", () => {
+      const digits = {
+        key: "time",
+        type: "string",
+        length: 6,
+        charset: "digits",
+      };
+      const a = "101000010010111000110000";
+      assert.equal(spos.encodeBlock("12:30", digits), a);
+      assert.equal(spos.decodeBlock(a, digits), " 12:30");
+      const uppercase = {
+        key: "name",
+        type: "string",
+        length: 4,
+        charset: "uppercase",
+      };
+      const b = "00000011011110111111";
+      assert.equal(spos.encodeBlock("AN-c", uppercase), b);
+      assert.equal(spos.decodeBlock(b, uppercase), "AN-?");
+    });
+    it("Encodes/Decodes String with the ascii and utf8 charsets", () => {
+      const ascii = { key: "s", type: "string", length: 5, charset: "ascii" };
+      assert.equal(
+        spos.decodeBlock(spos.encodeBlock("Hi~\n", ascii), ascii),
+        " Hi~\n"
+      );
+      assert.equal(
+        spos.decodeBlock(spos.encodeBlock("né", ascii), ascii),
+        "   n?"
+      );
+      const utf8 = { key: "s", type: "string", length: 8, charset: "utf8" };
+      const a = spos.encodeBlock("héllo €", utf8);
+      assert.equal(a.length, 64);
+      assert.equal(spos.decodeBlock(a, utf8), " héllo ");
+      // Truncates at a character boundary
+      const short = Object.assign({}, utf8, { length: 4 });
+      assert.equal(
+        spos.decodeBlock(spos.encodeBlock("ab€", short), short),
+        "  ab"
+      );
+    });
+    it("Encodes/Decodes String with a custom alphabet", () => {
+      const block = {
+        key: "dna",
+        type: "string",
+        length: 5,
+        alphabet: "ACGT",
+      };
+      const a = "0001101100";
+      assert.equal(spos.encodeBlock("ACGTN", block), a);
+      assert.equal(spos.decodeBlock(a, block), "ACGTA");
+      assert.equal(
+        spos.decodeBlock(spos.encodeBlock("GT", block), block),
+        "AAAGT"
+      );
+      const replacement = Object.assign({ replacement: "T" }, block);
+      assert.equal(spos.encodeBlock("ACGTN", replacement), "0001101111");
+      const odd = { key: "s", type: "string", length: 2, alphabet: "xyz" };
+      assert.equal(spos.encodeBlock("zy", odd), "1001");
+      assert.equal(spos.decodeBlock("1011", odd), "zx");
+    });
+    it("Counts the code points of values in custom alphabets", () => {
+      const block = { key: "s", type: "string", length: 2, alphabet: "a😀" };
+      assert.equal(spos.encodeBlock("😀😀", block), "11");
+      assert.equal(spos.encodeBlock("😀😀😀", block), "11");
+      assert.equal(spos.decodeBlock("01", block), "a😀");
+      const payloadSpec = { name: "emoji", version: 0, body: [block] };
+      const { report } = spos.encode({ s: "😀😀" }, payloadSpec, {
+        strict: true,
+        report: true,
+      });
+      assert.deepEqual(report[0].adjustments, []);
+      assert.equal(report[0].encoded, "😀😀");
+    });
+    it("Throws an error for unknown characters in strict mode", () => {
+      const block = {
+        key: "code",
+        type: "string",
+        length: 3,
+        charset: "digits",
+        strict: true,
+      };
+      assert.equal(spos.encodeBlock("42", block), "101001000010");
+      assert.throws(() => spos.encodeBlock("4a", block), spos.StrictModeError);
+      const payloadSpec = {
+        name: "strict",
+        version: 0,
+        body: [Object.assign({}, block, { strict: false })],
+      };
+      assert.doesNotThrow(() => spos.encode({ code: "4a" }, payloadSpec));
+      assert.throws(
+        () => spos.encode({ code: "4a" }, payloadSpec, { strict: true }),
+        spos.StrictModeError
+      );
+    });
+    it("Encodes/Decodes variable length Strings", () => {
+      const block = {
+        key: "name",
+        type: "string",
+        length: 10,
+        fixed: false,
+        charset: "uppercase",
+      };
+      const a = "0011" + "000000000100010";
+      assert.equal(spos.encodeBlock("ABC", block), a);
+      assert.equal(spos.decodeBlock(a, block), "ABC");
+      assert.equal(spos.encodeBlock("", block), "0000");
+      assert.equal(
+        spos.decodeBlock(spos.encodeBlock("ABCDEFGHIJKL", block), block),
+        "ABCDEFGHIJ"
+      );
+      const utf8 = {
+        key: "s",
+        type: "string",
+        length: 8,
+        fixed: false,
+        charset: "utf8",
+      };
+      assert.equal(spos.decodeBlock(spos.encodeBlock("é€", utf8), utf8), "é€");
+    });
+    it("Calculates the size and layout of variable length Strings", () => {
+      const payloadSpec = {
+        name: "string",
+        version: 0,
+        body: [
+          { key: "name", type: "string", length: 10, fixed: false },
+          { key: "ok", type: "boolean" },
+        ],
+      };
+      assert.deepEqual(spos.sizeOf(payloadSpec), {
+        minBits: 5,
+        maxBits: 65,
+        minBytes: 1,
+        maxBytes: 9,
+      });
+      assert.deepEqual(
+        spos
+          .layout(payloadSpec)
+          .map((field) => [field.key, field.offset, field.bits]),
+        [
+          ["name.length", 0, 4],
+          ["name", 4, 60],
+          ["ok", 64, 1],
+          ["padding", 65, 7],
+        ]
+      );
+      const payloadData = { name: "abc", ok: true };
+      assert.deepEqual(
+        spos.decode(spos.encode(payloadData, payloadSpec), payloadSpec).body,
+        payloadData
+      );
+      const report = spos.encode({ name: "abc", ok: true }, payloadSpec, {
+        report: true,
+      }).report;
+      assert.deepEqual(report[0].adjustments, []);
+    });
+    it("Encodes/Decodes Strings with a pad side and character", () => {
+      const block = {
+        key: "code",
+        type: "string",
+        length: 5,
+        charset: "digits",
+        pad_side: "right",
+        pad_char: "0",
+      };
+      assert.equal(spos.encodeBlock("12", block), "00010010000000000000");
+      assert.equal(spos.decodeBlock("00010010000000000000", block), "12000");
+      const strip = Object.assign({ strip: true }, block);
+      assert.equal(spos.decodeBlock("00010010000000000000", strip), "12");
+      const left = { key: "message", type: "string", length: 12, strip: true };
+      assert.equal(
+        spos.decodeBlock(spos.encodeBlock("my message", left), left),
+        "my+message"
+      );
+    });
+    it("Throws an error for invalid pad characters", () => {
+      const block = { key: "s", type: "string", length: 2 };
+      [
+        { pad_char: "%" },
+        { pad_char: "ab" },
+        { pad_char: "é", charset: "utf8" },
+        { pad_side: "center" },
+        { fixed: "no" },
+      ].forEach((spec) => {
+        assert.throws(
+          () => spos.encodeBlock("ab", Object.assign({}, block, spec)),
+          RangeError
+        );
+      });
+    });
+    it("Throws an error for invalid alphabets", () => {
+      const block = { key: "s", type: "string", length: 2 };
+      [
+        { charset: "latin1" },
+        { alphabet: "abca" },
+        { alphabet: "abc", replacement: "d" },
+        { charset: "utf8", replacement: "?" },
+        { strict: "yes" },
+      ].forEach((spec) => {
+        assert.throws(
+          () => spos.encodeBlock("ab", Object.assign({}, block, spec)),
+          RangeError
+        );
+      });
+    });
   });
   describe("Encodes/Decodes Steps", () => {
     it("Encodes/Decodes Steps", () => {
@@ -802,6 +1680,91 @@ describe("Encodes/Decodes Block", () => {
       const t = 1;
       assert.throws(() => spos.encodeBlock(t, block), RangeError);
     });
+    it("Encodes a step name", () => {
+      const block = {
+        key: "steps",
+        type: "steps",
+        steps: [0, 5, 10],
+        steps_names: ["critical", "low", "charged", "full"],
+      };
+      assert.equal(spos.encodeBlock("charged", block), "10");
+      assert.equal(
+        spos.encodeBlock("0<=x<5", {
+          key: "s",
+          type: "steps",
+          steps: [0, 5, 10],
+        }),
+        "01"
+      );
+      assert.throws(() => spos.encodeBlock("empty", block), RangeError);
+    });
+    it("Decodes Steps to values with a policy", () => {
+      const block = {
+        key: "steps",
+        type: "steps",
+        steps: [0, 5, 10],
+        output: "value",
+      };
+      const a = ["00", "01", "10", "11"];
+      assert.deepEqual(
+        a.map((bin) => spos.decodeBlock(bin, block)),
+        [0, 2.5, 7.5, 10]
+      );
+      const lower = Object.assign({}, block, { policy: "lower" });
+      assert.deepEqual(
+        a.map((bin) => spos.decodeBlock(bin, lower)),
+        [0, 0, 5, 10]
+      );
+      const upper = Object.assign({}, block, { policy: "upper" });
+      assert.deepEqual(
+        a.map((bin) => spos.decodeBlock(bin, upper)),
+        [0, 5, 10, 10]
+      );
+    });
+    it("Decodes Steps to steps_values or to names and values", () => {
+      const block = {
+        key: "battery",
+        type: "steps",
+        steps: [0, 5, 10],
+        steps_names: ["critical", "low", "charged", "full"],
+        steps_values: [0, 3, 8, 12],
+        output: "both",
+      };
+      const t_dec = { name: "charged", value: 8 };
+      assert.deepEqual(spos.decodeBlock("10", block), t_dec);
+      assert.equal(spos.encodeBlock(t_dec, block), "10");
+      assert.throws(() => spos.encodeBlock({}, block), RangeError);
+      assert.throws(() => spos.encodeBlock({ value: 7 }, block), RangeError);
+      assert.throws(() => spos.encodeBlock(NaN, block), RangeError);
+      const payloadSpec = {
+        name: "steps",
+        version: 0,
+        body: [Object.assign({}, block, { output: "value" })],
+      };
+      const { report } = spos.encode({ battery: 7 }, payloadSpec, {
+        report: true,
+      });
+      assert.equal(report[0].encoded, 8);
+      assert.equal(report[0].quantizationError, 1);
+      assert.throws(
+        () => spos.encode({ battery: {} }, payloadSpec, { strict: true }),
+        RangeError
+      );
+    });
+    it("Throws an error for invalid steps_values, policy or output", () => {
+      const block = { key: "steps", type: "steps", steps: [0, 5, 10] };
+      [
+        { steps_values: [1, 2, 3] },
+        { steps_values: [1, 2, 3, "4"] },
+        { policy: "mean" },
+        { output: "label" },
+      ].forEach((spec) => {
+        assert.throws(
+          () => spos.encodeBlock(1, Object.assign({}, block, spec)),
+          RangeError
+        );
+      });
+    });
     it("Throws an error if 'steps' is not ordered.", () => {
       const block = {
         key: "steps",
@@ -892,6 +1855,56 @@ describe("Encodes/Decodes Block", () => {
       assert.equal(spos.decodeBlock(a, block), t_dec);
     });
   });
+  describe("Encodes/Decodes Flags", () => {
+    const block = {
+      key: "status",
+      type: "flags",
+      flags: ["door_open", "tamper", "low_battery"],
+    };
+    it("Encodes/Decodes an array of flags", () => {
+      const t = ["low_battery", "door_open"];
+      const a = "101";
+      assert.equal(spos.encodeBlock(t, block), a);
+      assert.deepEqual(spos.decodeBlock(a, block), [
+        "door_open",
+        "low_battery",
+      ]);
+      assert.equal(spos.encodeBlock([], block), "000");
+    });
+    it("Encodes/Decodes an object of flags", () => {
+      const objBlock = Object.assign({ shape: "object" }, block);
+      const t = { door_open: false, tamper: true };
+      const a = "010";
+      assert.equal(spos.encodeBlock(t, objBlock), a);
+      assert.deepEqual(spos.decodeBlock(a, objBlock), {
+        door_open: false,
+        tamper: true,
+        low_battery: false,
+      });
+    });
+    it("Encodes/Decodes Flags throws an error when passing a wrong flag", () => {
+      assert.throws(() => spos.encodeBlock(["smoke"], block), RangeError);
+      assert.throws(() => spos.encodeBlock("tamper", block), RangeError);
+    });
+    it("Encodes/Decodes Flags with error string", () => {
+      const errBlock = Object.assign({ error: "unknown" }, block);
+      const a = "0101";
+      assert.equal(spos.encodeBlock(["smoke", "tamper"], errBlock), a);
+      assert.deepEqual(spos.decodeBlock(a, errBlock), ["tamper", "unknown"]);
+    });
+    it("Encodes/Decodes Flags with error string of an existing flag", () => {
+      const errBlock = Object.assign({ error: "tamper" }, block);
+      const a = "010";
+      assert.equal(spos.encodeBlock(["smoke"], errBlock), a);
+      assert.deepEqual(spos.decodeBlock(a, errBlock), ["tamper"]);
+    });
+    it("Throws an error for repeated flags or an invalid shape", () => {
+      const repeated = Object.assign({}, block, { flags: ["a", "a"] });
+      assert.throws(() => spos.encodeBlock([], repeated), RangeError);
+      const shape = Object.assign({ shape: "set" }, block);
+      assert.throws(() => spos.encodeBlock([], shape), RangeError);
+    });
+  });
 });
 
 describe("validate block", () => {
@@ -1490,6 +2503,16 @@ describe("Encodes/Decodes payloadSpec with meta", () => {
       crc8: true,
     });
   });
+  it("Calculates crc8 of binary strings and of bytes", () => {
+    const message = "00000001011110011010100000100101";
+    assert.equal(spos.utils.crc8Encode(message.slice(0, -8)), "00100101");
+    assert.isTrue(spos.utils.crc8Validate(message));
+    assert.isFalse(spos.utils.crc8Validate("1" + message.slice(1)));
+    const bytes = spos.utils.hexToBytes(spos.utils.binToHex(message));
+    assert.equal(spos.utils.crc8EncodeBytes(bytes.subarray(0, -1)), 0x25);
+    assert.isTrue(spos.utils.crc8ValidateBytes(bytes));
+    assert.isFalse(spos.utils.crc8ValidateBytes(new Uint8Array()));
+  });
   it("validates payload spec wrong type for meta key", () => {
     const payloadData = {
       art: true,
@@ -1875,3 +2898,1553 @@ describe("Encodes/Decodes from multiple payloadSpecs", () => {
     );
   });
 });
+
+describe("BitWriter/BitReader", () => {
+  const { BitWriter, BitReader } = require("../spos/bits.js").bits;
+  it("Writes/Reads integers across byte boundaries", () => {
+    const writer = new BitWriter(1);
+    writer.writeUint(5, 3).writeUint(1023, 10).writeUint(0, 2);
+    writer.writeUint(1234567890123, 41);
+    assert.equal(writer.length, 56);
+    const reader = new BitReader(writer.toBytes(), writer.length);
+    assert.equal(reader.readUint(3), 5);
+    assert.equal(reader.readUint(10), 1023);
+    assert.equal(reader.readUint(2), 0);
+    assert.equal(reader.readUint(41), 1234567890123);
+    assert.equal(reader.remaining, 0);
+  });
+  it("Converts from/to bin and hex strings", () => {
+    const bin = "1101111010101101101111101110111101";
+    const writer = new BitWriter().writeBin(bin);
+    assert.equal(writer.toBin(), bin);
+    assert.equal(writer.toHex(), "deadbeef40");
+    assert.equal(BitReader.fromBin(bin).readBin(bin.length), bin);
+    assert.equal(BitReader.fromHex("deadbeef").readUint(32), 0xdeadbeef);
+    writer.padToByte();
+    assert.equal(writer.length, 40);
+  });
+  it("Fills bits", () => {
+    const writer = new BitWriter().fill(3, 1).fill(2).fill(37, 1);
+    assert.equal(writer.toBin(), "11100" + "1".repeat(37));
+  });
+  it("Throws an error when reading past the end of the message", () => {
+    const reader = BitReader.fromBin("101");
+    assert.throws(() => reader.readUint(4), RangeError);
+    assert.throws(() => reader.skip(4), RangeError);
+  });
+  it("Does not advance the original reader when cloned", () => {
+    const reader = BitReader.fromBin("1010");
+    const clone = reader.clone();
+    clone.skip(2);
+    assert.equal(reader.offset, 0);
+    assert.equal(clone.readUint(2), 2);
+  });
+});
+
+describe("Compiles payloadSpec", () => {
+  const payloadSpec = {
+    name: "compiled",
+    version: 3,
+    meta: {
+      encode_version: true,
+      version_bits: 4,
+      crc8: true,
+      header: [
+        { key: "device", type: "integer", bits: 6 },
+        { key: "static", value: "header value" },
+      ],
+    },
+    body: [
+      { key: "temperature", type: "float", bits: 10, lower: -20, upper: 60 },
+      {
+        key: "readings",
+        type: "array",
+        length: 7,
+        blocks: { key: "reading", type: "integer", bits: 5 },
+      },
+    ],
+  };
+  const payloadData = { device: 12, temperature: 21.5, readings: [1, 2, 3] };
+
+  it("Encodes/Decodes like encode and decode", () => {
+    const codec = spos.compile(payloadSpec);
+    for (const output of ["bin", "hex", "bytes"]) {
+      const message = codec.encode(payloadData, output);
+      assert.deepEqual(message, spos.encode(payloadData, payloadSpec, output));
+      assert.deepEqual(
+        codec.decode(message, output),
+        spos.decode(message, payloadSpec, output)
+      );
+    }
+  });
+  it("Reuses the codec for several messages", () => {
+    const codec = spos.compile(payloadSpec);
+    [0, 5, 40].forEach((temperature) => {
+      const data = { device: 1, temperature, readings: [temperature % 31] };
+      const decoded = codec.decode(codec.encode(data));
+      assert.objectCloseTo(decoded.body, {
+        temperature,
+        readings: [temperature % 31],
+      });
+      assert.deepEqual(decoded.meta.header, {
+        device: 1,
+        static: "header value",
+      });
+      assert.isTrue(decoded.meta.crc8);
+    });
+  });
+  it("Is not affected by changes in the original payloadSpec", () => {
+    const spec = JSON.parse(JSON.stringify(payloadSpec));
+    const codec = spos.compile(spec);
+    spec.version = 4;
+    spec.body[0].bits = 2;
+    assert.equal(codec.spec.version, 3);
+    assert.equal(codec.spec.body[0].bits, 10);
+    assert.objectCloseTo(
+      codec.decode(codec.encode(payloadData)).body,
+      {
+        temperature: 21.5,
+        readings: [1, 2, 3],
+      },
+      0.1
+    );
+  });
+  it("Calculates the size of the messages", () => {
+    assert.deepEqual(spos.compile(payloadSpec).sizeOf(), {
+      minBits: 23,
+      maxBits: 58,
+      minBytes: 4,
+      maxBytes: 9,
+    });
+  });
+  it("Throws errors when compiling a malformed payloadSpec", () => {
+    assert.throws(() => spos.compile({ name: "err", version: 0 }));
+    assert.throws(
+      () =>
+        spos.compile({
+          name: "err",
+          version: 0,
+          body: [{ key: "a", type: "integer" }],
+        }),
+      ReferenceError
+    );
+  });
+});
+
+describe("Calculates payload size and layout", () => {
+  const payloadSpec = {
+    name: "layout",
+    version: 1,
+    meta: {
+      encode_version: true,
+      version_bits: 3,
+      crc8: true,
+      header: [
+        { key: "device", type: "integer", bits: 4 },
+        { key: "static", value: 1 },
+      ],
+    },
+    body: [
+      { key: "holy.grail", type: "boolean" },
+      {
+        key: "readings",
+        type: "array",
+        length: 2,
+        blocks: {
+          key: "reading",
+          type: "object",
+          blocklist: [
+            { key: "value", type: "integer", bits: 3 },
+            { key: "unit", type: "string", length: 1 },
+          ],
+        },
+      },
+    ],
+  };
+  it("Calculates the size of a payloadSpec", () => {
+    assert.deepEqual(spos.sizeOf(payloadSpec), {
+      minBits: 10,
+      maxBits: 28,
+      minBytes: 3,
+      maxBytes: 5,
+    });
+  });
+  it("Calculates the size of fixed arrays", () => {
+    const spec = {
+      name: "fixed",
+      version: 0,
+      body: [
+        {
+          key: "values",
+          type: "array",
+          length: 3,
+          fixed: true,
+          blocks: { key: "value", type: "float", bits: 5 },
+        },
+      ],
+    };
+    assert.deepEqual(spos.sizeOf(spec), {
+      minBits: 15,
+      maxBits: 15,
+      minBytes: 2,
+      maxBytes: 2,
+    });
+  });
+  it("Matches the size of encoded messages", () => {
+    const size = spos.sizeOf(payloadSpec);
+    const small = { device: 1, holy: { grail: true }, readings: [] };
+    const large = {
+      device: 1,
+      holy: { grail: true },
+      readings: [
+        { value: 1, unit: "V" },
+        { value: 2, unit: "A" },
+      ],
+    };
+    assert.equal(spos.encode(small, payloadSpec).length, size.minBytes);
+    assert.equal(spos.encode(large, payloadSpec).length, size.maxBytes);
+  });
+  it("Lists the bit layout of a payloadSpec", () => {
+    assert.deepEqual(spos.layout(payloadSpec), [
+      {
+        section: "version",
+        key: "version",
+        type: "integer",
+        offset: 0,
+        bits: 3,
+      },
+      { section: "header", key: "device", type: "integer", offset: 3, bits: 4 },
+      {
+        section: "body",
+        key: "holy.grail",
+        type: "boolean",
+        offset: 7,
+        bits: 1,
+      },
+      {
+        section: "body",
+        key: "readings.length",
+        type: "length",
+        offset: 8,
+        bits: 2,
+      },
+      {
+        section: "body",
+        key: "readings[0].value",
+        type: "integer",
+        offset: 10,
+        bits: 3,
+      },
+      {
+        section: "body",
+        key: "readings[0].unit",
+        type: "string",
+        offset: 13,
+        bits: 6,
+      },
+      {
+        section: "body",
+        key: "readings[1].value",
+        type: "integer",
+        offset: 19,
+        bits: 3,
+      },
+      {
+        section: "body",
+        key: "readings[1].unit",
+        type: "string",
+        offset: 22,
+        bits: 6,
+      },
+      { section: "padding", key: "padding", type: "pad", offset: 28, bits: 4 },
+      { section: "crc8", key: "crc8", type: "crc8", offset: 32, bits: 8 },
+    ]);
+  });
+});
+
+describe("Decodes with trace", () => {
+  const payloadSpec = {
+    name: "trace",
+    version: 1,
+    meta: {
+      encode_version: true,
+      version_bits: 3,
+      header: [{ key: "device", type: "integer", bits: 4, offset: 2 }],
+    },
+    body: [
+      { key: "holy.grail", type: "boolean" },
+      {
+        key: "readings",
+        type: "array",
+        length: 3,
+        blocks: {
+          key: "reading",
+          type: "object",
+          blocklist: [
+            { key: "value", type: "float", bits: 3 },
+            { key: "unit", type: "string", length: 1 },
+          ],
+        },
+      },
+    ],
+  };
+  const payloadData = {
+    device: 5,
+    holy: { grail: true },
+    readings: [{ value: 0.5, unit: "A" }],
+  };
+  it("Lists the bits and values of every field", () => {
+    const message = spos.encode(payloadData, payloadSpec, "hex");
+    const decoded = spos.decode(message, payloadSpec, "hex", { trace: true });
+    assert.deepEqual(decoded.trace, [
+      {
+        section: "version",
+        key: "version",
+        type: "integer",
+        offset: 0,
+        bits: 3,
+        raw: "001",
+        rawValue: 1,
+        value: 1,
+      },
+      {
+        section: "header",
+        key: "device",
+        type: "integer",
+        offset: 3,
+        bits: 4,
+        raw: "0011",
+        rawValue: 3,
+        value: 5,
+      },
+      {
+        section: "body",
+        key: "holy.grail",
+        type: "boolean",
+        offset: 7,
+        bits: 1,
+        raw: "1",
+        rawValue: 1,
+        value: true,
+      },
+      {
+        section: "body",
+        key: "readings.length",
+        type: "length",
+        offset: 8,
+        bits: 2,
+        raw: "01",
+        rawValue: 1,
+        value: 1,
+      },
+      {
+        section: "body",
+        key: "readings[0].value",
+        type: "float",
+        offset: 10,
+        bits: 3,
+        raw: "100",
+        rawValue: 4,
+        value: 4 / 7,
+      },
+      {
+        section: "body",
+        key: "readings[0].unit",
+        type: "string",
+        offset: 13,
+        bits: 6,
+        raw: "000000",
+        rawValue: 0,
+        value: "A",
+      },
+    ]);
+    assert.deepEqual(
+      decoded.body,
+      spos.decode(message, payloadSpec, "hex").body
+    );
+  });
+  it("Accepts the options in place of the input format", () => {
+    const message = spos.encode(payloadData, payloadSpec, "bin");
+    const decoded = spos.decode(message, payloadSpec, {
+      input: "bin",
+      trace: true,
+    });
+    assert.equal(decoded.trace.length, 6);
+    assert.notProperty(spos.decode(message, payloadSpec, "bin"), "trace");
+  });
+});
+
+describe("Encodes in strict mode", () => {
+  const payloadSpec = {
+    name: "strict",
+    version: 0,
+    body: [
+      { key: "sensor.count", type: "integer", bits: 4, offset: 2 },
+      { key: "temperature", type: "float", bits: 8, lower: -10, upper: 50 },
+      {
+        key: "labels",
+        type: "array",
+        length: 2,
+        blocks: { key: "label", type: "string", length: 3 },
+      },
+    ],
+  };
+  const payloadData = {
+    sensor: { count: 10 },
+    temperature: 20,
+    labels: ["abc", "def"],
+  };
+  const throwsStrict = (data, spec, key, value) => {
+    try {
+      spos.encode(data, spec, { strict: true });
+    } catch (err) {
+      assert.instanceOf(err, spos.StrictModeError);
+      assert.instanceOf(err, RangeError);
+      assert.equal(err.key, key);
+      assert.deepEqual(err.value, value);
+      return;
+    }
+    assert.fail("StrictModeError not thrown");
+  };
+  it("Encodes values in range like the default mode", () => {
+    assert.deepEqual(
+      spos.encode(payloadData, payloadSpec, { strict: true }),
+      spos.encode(payloadData, payloadSpec)
+    );
+  });
+  it("Throws an error instead of clamping an integer", () => {
+    const data = Object.assign({}, payloadData, { sensor: { count: 18 } });
+    throwsStrict(data, payloadSpec, "sensor.count", 18);
+    const below = Object.assign({}, payloadData, { sensor: { count: 1 } });
+    throwsStrict(below, payloadSpec, "sensor.count", 1);
+    assert.doesNotThrow(() => spos.encode(data, payloadSpec));
+  });
+  it("Throws an error instead of clamping a float", () => {
+    const data = Object.assign({}, payloadData, { temperature: 50.5 });
+    throwsStrict(data, payloadSpec, "temperature", 50.5);
+  });
+  it("Throws an error instead of truncating an array", () => {
+    const labels = ["abc", "def", "ghi"];
+    const data = Object.assign({}, payloadData, { labels });
+    throwsStrict(data, payloadSpec, "labels", labels);
+  });
+  it("Throws an error instead of truncating or padding a string", () => {
+    const data = Object.assign({}, payloadData, { labels: ["abc", "defg"] });
+    throwsStrict(data, payloadSpec, "labels[1]", "defg");
+    const short = Object.assign({}, payloadData, { labels: ["ab"] });
+    throwsStrict(short, payloadSpec, "labels[0]", "ab");
+    const unknown = Object.assign({}, payloadData, { labels: ["a%c"] });
+    throwsStrict(unknown, payloadSpec, "labels[0]", "a%c");
+  });
+  it("Does not throw errors for integers in remainder mode", () => {
+    const spec = {
+      name: "remainder",
+      version: 0,
+      body: [{ key: "value", type: "integer", bits: 4, mode: "remainder" }],
+    };
+    assert.doesNotThrow(() =>
+      spos.encode({ value: 17 }, spec, "bin", {
+        strict: true,
+      })
+    );
+  });
+  it("Enables strict mode in payloadSpec.meta", () => {
+    const spec = Object.assign({ meta: { strict: true } }, payloadSpec);
+    const data = Object.assign({}, payloadData, { temperature: -11 });
+    assert.throws(() => spos.encode(data, spec), spos.StrictModeError);
+    assert.doesNotThrow(() => spos.encode(data, spec, { strict: false }));
+    assert.throws(
+      () => spos.encode(data, Object.assign({}, spec, { meta: { strict: 1 } })),
+      RangeError
+    );
+  });
+});
+
+describe("Encodes with report", () => {
+  const payloadSpec = {
+    name: "report",
+    version: 0,
+    body: [
+      { key: "counter", type: "integer", bits: 3, mode: "remainder" },
+      { key: "sensor.level", type: "integer", bits: 3 },
+      { key: "temperature", type: "float", bits: 4, upper: 10 },
+      {
+        key: "status",
+        type: "categories",
+        categories: ["ok", "warning"],
+        error: "unknown",
+      },
+      {
+        key: "labels",
+        type: "array",
+        length: 2,
+        blocks: { key: "label", type: "string", length: 2 },
+      },
+    ],
+  };
+  const payloadData = {
+    counter: 9,
+    sensor: { level: 2 },
+    temperature: 11,
+    status: "broken",
+    labels: ["abc", "%", "x"],
+  };
+  it("Returns the message along with the report", () => {
+    const encoded = spos.encode(payloadData, payloadSpec, {
+      output: "hex",
+      report: true,
+    });
+    assert.equal(encoded.message, spos.encode(payloadData, payloadSpec, "hex"));
+    assert.deepEqual(
+      encoded.report.map((field) => [field.key, field.adjustments]),
+      [
+        ["counter", ["wrapped"]],
+        ["sensor.level", []],
+        ["temperature", ["clamped"]],
+        ["status", ["replaced"]],
+        ["labels", ["truncated"]],
+        ["labels[0]", ["truncated"]],
+        ["labels[1]", ["padded", "replaced"]],
+      ]
+    );
+    assert.deepEqual(encoded.report[3], {
+      section: "body",
+      key: "status",
+      type: "categories",
+      value: "broken",
+      encoded: "unknown",
+      adjustments: ["replaced"],
+      quantizationError: null,
+    });
+  });
+  it("Reports the quantization error", () => {
+    const spec = {
+      name: "quantization",
+      version: 0,
+      body: [{ key: "value", type: "float", bits: 2, upper: 3 }],
+    };
+    const { report } = spos.encode({ value: 1.2 }, spec, "bin", {
+      report: true,
+    });
+    assert.equal(report.length, 1);
+    assert.equal(report[0].encoded, 1);
+    assert.closeTo(report[0].quantizationError, -0.2, 1e-9);
+    assert.deepEqual(report[0].adjustments, []);
+  });
+  it("Reports the header fields", () => {
+    const spec = {
+      name: "header report",
+      version: 0,
+      meta: { header: [{ key: "device", type: "integer", bits: 2 }] },
+      body: [{ key: "value", type: "boolean" }],
+    };
+    const { report } = spos.encode({ device: 4, value: true }, spec, {
+      report: true,
+    });
+    assert.deepEqual(
+      report.map((field) => [field.section, field.key, field.adjustments]),
+      [
+        ["header", "device", ["clamped"]],
+        ["body", "value", []],
+      ]
+    );
+  });
+  it("Still throws errors in strict mode", () => {
+    assert.throws(
+      () =>
+        spos.encode(payloadData, payloadSpec, { report: true, strict: true }),
+      spos.StrictModeError
+    );
+  });
+});
+
+describe("Encodes/Decodes optional blocks", () => {
+  const payloadSpec = {
+    name: "optional",
+    version: 0,
+    body: [
+      { key: "battery", type: "integer", bits: 4 },
+      {
+        key: "gps",
+        type: "object",
+        optional: true,
+        blocklist: [
+          { key: "lat", type: "float", bits: 8, lower: -90, upper: 90 },
+          { key: "lon", type: "float", bits: 8, lower: -180, upper: 180 },
+        ],
+      },
+      { key: "sensor.humidity", type: "integer", bits: 7, optional: true },
+    ],
+  };
+  it("Encodes a presence bit and the value when it exists", () => {
+    const payloadData = {
+      battery: 3,
+      gps: { lat: 0, lon: 0 },
+      sensor: { humidity: 50 },
+    };
+    const message = spos.encode(payloadData, payloadSpec, "bin");
+    assert.equal(
+      message,
+      "0011" + "1" + "10000000" + "10000000" + "10110010" + "000"
+    );
+    const decoded = spos.decode(message, payloadSpec, "bin");
+    assert.objectCloseTo(decoded.body, payloadData, 1);
+  });
+  it("Encodes only the presence bit when the value is missing", () => {
+    const payloadData = { battery: 3, gps: null };
+    const message = spos.encode(payloadData, payloadSpec, "bin");
+    assert.equal(message, "00110000");
+    assert.deepEqual(spos.decode(message, payloadSpec, "bin").body, {
+      battery: 3,
+    });
+  });
+  it("Decodes missing array items as null", () => {
+    const block = {
+      key: "readings",
+      type: "array",
+      length: 3,
+      blocks: { key: "reading", type: "integer", bits: 3, optional: true },
+    };
+    const t = [1, null, 2];
+    const a = "11" + "1001" + "0" + "1010";
+    assert.equal(spos.encodeBlock(t, block), a);
+    assert.deepEqual(spos.decodeBlock(a, block), t);
+  });
+  it("Calculates the size and layout of optional blocks", () => {
+    assert.deepEqual(spos.sizeOf(payloadSpec), {
+      minBits: 6,
+      maxBits: 29,
+      minBytes: 1,
+      maxBytes: 4,
+    });
+    assert.deepEqual(
+      spos.layout(payloadSpec).map((field) => [field.key, field.type]),
+      [
+        ["battery", "integer"],
+        ["gps", "presence"],
+        ["gps.lat", "float"],
+        ["gps.lon", "float"],
+        ["sensor.humidity", "presence"],
+        ["sensor.humidity", "integer"],
+        ["padding", "pad"],
+      ]
+    );
+  });
+  it("Traces the presence bits", () => {
+    const message = spos.encode(
+      { battery: 1, sensor: { humidity: 1 } },
+      payloadSpec
+    );
+    const { trace } = spos.decode(message, payloadSpec, { trace: true });
+    assert.deepEqual(
+      trace.map((field) => [field.key, field.type, field.value]),
+      [
+        ["battery", "integer", 1],
+        ["gps", "presence", false],
+        ["sensor.humidity", "presence", true],
+        ["sensor.humidity", "integer", 1],
+      ]
+    );
+  });
+  it("Throws an error when optional is not a boolean", () => {
+    const block = { key: "value", type: "boolean", optional: "yes" };
+    assert.throws(() => spos.encodeBlock(true, block), RangeError);
+  });
+  it("Throws an error when a required value is missing", () => {
+    assert.throws(() => spos.encode({ gps: null }, payloadSpec), RangeError);
+  });
+});
+
+describe("Encodes/Decodes union blocks", () => {
+  const eventBlock = {
+    key: "event",
+    type: "union",
+    variants: [
+      {
+        name: "alarm",
+        blocklist: [{ key: "level", type: "integer", bits: 3 }],
+      },
+      { name: "heartbeat", blocklist: [] },
+      {
+        name: "config_ack",
+        blocklist: [
+          { key: "id", type: "integer", bits: 8 },
+          { key: "ok", type: "boolean" },
+        ],
+      },
+    ],
+  };
+  it("Encodes/Decodes the selected variant", () => {
+    const t = { type: "config_ack", id: 200, ok: true };
+    const a = "10" + "11001000" + "1";
+    assert.equal(spos.encodeBlock(t, eventBlock), a);
+    assert.deepEqual(spos.decodeBlock(a, eventBlock), t);
+    assert.equal(spos.encodeBlock({ type: "heartbeat" }, eventBlock), "01");
+    assert.deepEqual(spos.decodeBlock("01", eventBlock), {
+      type: "heartbeat",
+    });
+  });
+  it("Encodes/Decodes unions with a custom tag in arrays and objects", () => {
+    const event = Object.assign({}, eventBlock, { tag: "kind" });
+    const payloadSpec = {
+      name: "events",
+      version: 0,
+      body: [
+        {
+          key: "device",
+          type: "object",
+          blocklist: [
+            Object.assign({}, event, { key: "last" }),
+            {
+              key: "events",
+              type: "array",
+              length: 3,
+              blocks: event,
+            },
+          ],
+        },
+      ],
+    };
+    const payloadData = {
+      device: {
+        last: { kind: "alarm", level: 2 },
+        events: [
+          { kind: "alarm", level: 5 },
+          { kind: "heartbeat" },
+          { kind: "config_ack", id: 7, ok: false },
+        ],
+      },
+    };
+    const decoded = spos.decode(
+      spos.encode(payloadData, payloadSpec),
+      payloadSpec
+    );
+    assert.deepEqual(decoded.body, payloadData);
+  });
+  it("Calculates the size and layout of unions", () => {
+    const payloadSpec = { name: "union", version: 0, body: [eventBlock] };
+    assert.deepEqual(spos.sizeOf(payloadSpec), {
+      minBits: 2,
+      maxBits: 11,
+      minBytes: 1,
+      maxBytes: 2,
+    });
+    assert.deepEqual(
+      spos
+        .layout(payloadSpec)
+        .map((field) => [field.key, field.offset, field.bits]),
+      [
+        ["event.type", 0, 2],
+        ["event<alarm>.level", 2, 3],
+        ["event<config_ack>.id", 2, 8],
+        ["event<config_ack>.ok", 10, 1],
+        ["padding", 11, 5],
+      ]
+    );
+  });
+  it("Throws an error for an unknown variant", () => {
+    assert.throws(
+      () => spos.encodeBlock({ type: "unknown" }, eventBlock),
+      RangeError,
+      "Invalid tag unknown for block event."
+    );
+    assert.throws(
+      () => spos.encodeBlock({}, eventBlock),
+      RangeError,
+      "Invalid tag undefined for block event."
+    );
+    assert.throws(
+      () => spos.encodeBlock({ type: "constructor" }, eventBlock),
+      RangeError
+    );
+    assert.throws(() => spos.decodeBlock("11", eventBlock), RangeError);
+  });
+  it("Throws an error for malformed variants", () => {
+    const duplicated = Object.assign({}, eventBlock, {
+      variants: [
+        { name: "a", blocklist: [] },
+        { name: "a", blocklist: [] },
+      ],
+    });
+    assert.throws(
+      () => spos.encodeBlock({ type: "a" }, duplicated),
+      RangeError
+    );
+    const malformed = Object.assign({}, eventBlock, {
+      variants: [{ name: "a" }],
+    });
+    assert.throws(() => spos.encodeBlock({ type: "a" }, malformed), RangeError);
+    const field = { key: "type", type: "categories", categories: ["x"] };
+    const tagged = Object.assign({}, eventBlock, {
+      variants: [{ name: "a", blocklist: [field] }],
+    });
+    assert.throws(
+      () => spos.encodeBlock({ type: "a" }, tagged),
+      RangeError,
+      "Block event variant a can't have the tag key 'type'."
+    );
+    const nested = Object.assign({}, eventBlock, {
+      tag: "kind",
+      variants: [
+        { name: "a", blocklist: [Object.assign({}, field, { key: "kind.x" })] },
+      ],
+    });
+    assert.throws(() => spos.encodeBlock({ kind: "a" }, nested), RangeError);
+  });
+});
+
+describe("Encodes/Decodes conditional blocks", () => {
+  const payloadSpec = {
+    name: "conditional",
+    version: 0,
+    body: [
+      {
+        key: "power_source",
+        type: "categories",
+        categories: ["mains", "battery", "solar"],
+      },
+      {
+        key: "battery_voltage",
+        type: "float",
+        bits: 8,
+        upper: 5,
+        when: { key: "power_source", equals: "battery" },
+      },
+      { key: "temperature", type: "integer", bits: 6 },
+    ],
+  };
+  it("Encodes/Decodes the block when the condition holds", () => {
+    const payloadData = {
+      power_source: "battery",
+      battery_voltage: 3,
+      temperature: 20,
+    };
+    const message = spos.encode(payloadData, payloadSpec, "bin");
+    assert.equal(message, "0110011001010100");
+    assert.deepEqual(spos.decode(message, payloadSpec, "bin").body, {
+      power_source: "battery",
+      battery_voltage: 3,
+      temperature: 20,
+    });
+  });
+  it("Skips the block when the condition does not hold", () => {
+    const payloadData = {
+      power_source: "mains",
+      battery_voltage: 3,
+      temperature: 20,
+    };
+    const message = spos.encode(payloadData, payloadSpec, "bin");
+    assert.equal(message, "00010100");
+    assert.deepEqual(spos.decode(message, payloadSpec, "bin").body, {
+      power_source: "mains",
+      temperature: 20,
+    });
+  });
+  it("Encodes/Decodes conditions with nested keys and 'in'", () => {
+    const payloadSpec = {
+      name: "conditional",
+      version: 0,
+      body: [
+        {
+          key: "status",
+          type: "object",
+          blocklist: [{ key: "mode", type: "integer", bits: 2 }],
+        },
+        {
+          key: "readings",
+          type: "array",
+          length: 3,
+          blocks: { key: "reading", type: "integer", bits: 4 },
+          when: { key: "status.mode", in: [1, 2] },
+        },
+      ],
+    };
+    [0, 1, 2, 3].forEach((mode) => {
+      const payloadData = { status: { mode }, readings: [1, 2] };
+      const decoded = spos.decode(
+        spos.encode(payloadData, payloadSpec),
+        payloadSpec
+      );
+      assert.deepEqual(
+        decoded.body,
+        [1, 2].includes(mode) ? payloadData : { status: { mode } }
+      );
+    });
+  });
+  it("Treats conditional blocks as variable length", () => {
+    assert.deepEqual(spos.sizeOf(payloadSpec), {
+      minBits: 8,
+      maxBits: 16,
+      minBytes: 1,
+      maxBytes: 2,
+    });
+    const block = {
+      key: "readings",
+      type: "array",
+      length: 2,
+      blocks: { key: "reading", type: "object", blocklist: payloadSpec.body },
+    };
+    const value = [
+      { power_source: "solar", temperature: 1 },
+      { power_source: "battery", battery_voltage: 5, temperature: 2 },
+    ];
+    assert.deepEqual(
+      spos.decodeBlock(spos.encodeBlock(value, block), block),
+      value
+    );
+  });
+  it("Throws an error for conditions on later or unknown keys", () => {
+    const later = {
+      name: "conditional",
+      version: 0,
+      body: [payloadSpec.body[1], payloadSpec.body[0]],
+    };
+    assert.throws(() => spos.validatePayloadSpec(later), ReferenceError);
+    assert.throws(() => spos.encode({}, later), ReferenceError);
+    const unknown = {
+      name: "conditional",
+      version: 0,
+      body: [
+        payloadSpec.body[0],
+        Object.assign({}, payloadSpec.body[1], {
+          when: { key: "power", equals: "battery" },
+        }),
+      ],
+    };
+    assert.throws(() => spos.validatePayloadSpec(unknown), ReferenceError);
+    const malformed = {
+      name: "conditional",
+      version: 0,
+      body: [
+        payloadSpec.body[0],
+        Object.assign({}, payloadSpec.body[1], {
+          when: { key: "power_source" },
+        }),
+      ],
+    };
+    assert.throws(() => spos.validatePayloadSpec(malformed), RangeError);
+    const item = {
+      key: "i",
+      type: "integer",
+      bits: 3,
+      when: { key: "zzz", equals: 1 },
+    };
+    const inArray = {
+      name: "conditional",
+      version: 0,
+      body: [{ key: "items", type: "array", length: 3, blocks: item }],
+    };
+    assert.throws(
+      () => spos.validatePayloadSpec(inArray),
+      RangeError,
+      "Block i can only have 'when' in an object blocklist."
+    );
+    assert.throws(() => spos.encodeBlock(1, item), RangeError);
+  });
+});
+
+describe("Encodes/Decodes timestamp blocks", () => {
+  const block = {
+    key: "measured_at",
+    type: "timestamp",
+    bits: 20,
+    epoch: "2020-01-01T00:00:00Z",
+    resolution: "min",
+  };
+  it("Encodes Dates, ISO strings and epoch milliseconds", () => {
+    const date = new Date("2020-01-01T01:05:30Z");
+    const a = "00000000000001000001";
+    assert.equal(spos.encodeBlock(date, block), a);
+    assert.equal(spos.encodeBlock(date.toISOString(), block), a);
+    assert.equal(spos.encodeBlock(date.getTime(), block), a);
+    assert.deepEqual(
+      spos.decodeBlock(a, block),
+      new Date("2020-01-01T01:05:00Z")
+    );
+  });
+  it("Decodes timestamps as ISO strings", () => {
+    const isoBlock = Object.assign({ output: "iso" }, block);
+    const t = "2021-03-04T05:06:00.000Z";
+    assert.equal(spos.decodeBlock(spos.encodeBlock(t, isoBlock), isoBlock), t);
+  });
+  it("Clamps timestamps outside of the range", () => {
+    assert.equal(
+      spos.encodeBlock("2019-12-31T00:00:00Z", block),
+      "0".repeat(20)
+    );
+    assert.equal(
+      spos.encodeBlock("2030-01-01T00:00:00Z", block),
+      "1".repeat(20)
+    );
+    const payloadSpec = { name: "ts", version: 0, body: [block] };
+    assert.throws(
+      () =>
+        spos.encode({ measured_at: "2019-12-31T00:00:00Z" }, payloadSpec, {
+          strict: true,
+        }),
+      spos.StrictModeError
+    );
+  });
+  it("Resolves rollover timestamps against the reception time", () => {
+    const payloadSpec = {
+      name: "ts",
+      version: 0,
+      body: [
+        {
+          key: "measured_at",
+          type: "timestamp",
+          bits: 8,
+          resolution: "hour",
+          rollover: true,
+        },
+      ],
+    };
+    const measuredAt = new Date("2021-06-01T12:00:00Z");
+    const message = spos.encode({ measured_at: measuredAt }, payloadSpec);
+    [
+      "2021-06-01T12:30:00Z",
+      "2021-06-06T00:00:00Z",
+      "2021-05-28T00:00:00Z",
+    ].forEach((receivedAt) => {
+      const decoded = spos.decode(message, payloadSpec, { receivedAt });
+      assert.deepEqual(decoded.body.measured_at, measuredAt);
+    });
+    const decoded = spos.decode(message, payloadSpec, {
+      trace: true,
+      receivedAt: "2021-06-02T00:00:00Z",
+    });
+    assert.deepEqual(decoded.body.measured_at, measuredAt);
+    assert.deepEqual(decoded.trace[0].value, measuredAt);
+  });
+  it("Decodes timestamps under dotted keys as Dates", () => {
+    const payloadSpec = {
+      name: "ts",
+      version: 0,
+      body: [
+        { key: "gps.time", type: "timestamp", bits: 16 },
+        { key: "gps.fix", type: "boolean" },
+      ],
+    };
+    const time = new Date(1000000);
+    const decoded = spos.decode(
+      spos.encode({ gps: { time, fix: true } }, payloadSpec),
+      payloadSpec
+    );
+    assert.instanceOf(decoded.body.gps.time, Date);
+    assert.deepEqual(decoded.body.gps, { time, fix: true });
+  });
+  it("Throws an error for invalid timestamps", () => {
+    assert.throws(() => spos.encodeBlock("yesterday", block), RangeError);
+    assert.throws(() => spos.encodeBlock(true, block), RangeError);
+    const epoch = Object.assign({}, block, { epoch: "never" });
+    assert.throws(() => spos.encodeBlock(0, epoch), RangeError);
+    const resolution = Object.assign({}, block, { resolution: "day" });
+    assert.throws(() => spos.encodeBlock(0, resolution), RangeError);
+  });
+});
+
+describe("Encodes/Decodes geo blocks", () => {
+  const position = { lat: -23.55052, lon: -46.633308 };
+  const assertClose = (decoded, value, block) => {
+    const dLat = (decoded.lat - value.lat) * 111195;
+    const dLon =
+      (decoded.lon - value.lon) *
+      111195 *
+      Math.cos((value.lat * Math.PI) / 180);
+    assert.isAtMost(Math.hypot(dLat, dLon), decoded.error);
+    assert.isAtMost(decoded.error, block.precision);
+  };
+  it("Derives the bits from the precision", () => {
+    const block = { key: "position", type: "geo", precision: 10 };
+    const message = spos.encodeBlock(position, block);
+    assert.equal(message.length, 43);
+    assertClose(spos.decodeBlock(message, block), position, block);
+    const coarse = { key: "position", type: "geo", precision: 10000 };
+    assert.equal(spos.encodeBlock(position, coarse).length, 23);
+  });
+  it("Uses less bits inside of a bounding box", () => {
+    const block = {
+      key: "position",
+      type: "geo",
+      bbox: { lat: [-24, -23], lon: [-47, -46] },
+      precision: 10,
+    };
+    const message = spos.encodeBlock(position, block);
+    assert.equal(message.length, 26);
+    assertClose(spos.decodeBlock(message, block), position, block);
+  });
+  it("Interleaves the bits in morton mode", () => {
+    const block = { key: "position", type: "geo", precision: 10 };
+    const morton = Object.assign({ mode: "morton" }, block);
+    const separate = spos.encodeBlock(position, block);
+    const interleaved = spos.encodeBlock(position, morton);
+    assert.equal(interleaved.length, separate.length);
+    assert.notEqual(interleaved, separate);
+    assert.deepEqual(
+      spos.decodeBlock(interleaved, morton),
+      spos.decodeBlock(separate, block)
+    );
+  });
+  it("Encodes geohash bits in geohash mode", () => {
+    const block = {
+      key: "position",
+      type: "geo",
+      mode: "geohash",
+      precision: 20000,
+    };
+    // "u4pr" and the first bit of the next geohash character
+    const a = "110100010010101101111";
+    const value = { lat: 57.64911, lon: 10.40744 };
+    assert.equal(spos.encodeBlock(value, block), a);
+    assertClose(spos.decodeBlock(a, block), value, block);
+  });
+  it("Clamps coordinates outside of the bounding box", () => {
+    const payloadSpec = {
+      name: "geo",
+      version: 0,
+      body: [
+        {
+          key: "position",
+          type: "geo",
+          bbox: { lat: [0, 10], lon: [0, 10] },
+          precision: 1000,
+        },
+      ],
+    };
+    const decoded = spos.decode(
+      spos.encode({ position: { lat: 20, lon: -5 } }, payloadSpec),
+      payloadSpec
+    );
+    assert.equal(decoded.body.position.lat, 10);
+    assert.equal(decoded.body.position.lon, 0);
+    assert.throws(
+      () =>
+        spos.encode({ position: { lat: 20, lon: 5 } }, payloadSpec, {
+          strict: true,
+        }),
+      spos.StrictModeError
+    );
+  });
+  it("Throws an error for malformed geo blocks and values", () => {
+    const block = { key: "position", type: "geo" };
+    assert.throws(() => spos.encodeBlock({ lat: 1 }, block), RangeError);
+    assert.throws(() => spos.encodeBlock([1, 2], block), RangeError);
+    [
+      { bbox: { lat: [10, 0], lon: [0, 10] } },
+      { bbox: { lat: [0, 100], lon: [0, 10] } },
+      { bbox: { lat: [0, 10] } },
+      { precision: 0 },
+      { precision: 1e-9 },
+      { mode: "hilbert" },
+    ].forEach((spec) => {
+      assert.throws(
+        () => spos.encodeBlock(position, Object.assign({}, block, spec)),
+        RangeError
+      );
+    });
+  });
+});
+
+describe("Encodes/Decodes delta arrays", () => {
+  const block = {
+    key: "readings",
+    type: "array",
+    length: 6,
+    delta: true,
+    blocks: { key: "reading", type: "integer", bits: 8 },
+  };
+  it("Encodes the differences with Elias gamma codes", () => {
+    const t = [100, 101, 101, 99, 110];
+    const a = "101" + "01100100" + "011" + "1" + "00100" + "000010111";
+    assert.equal(spos.encodeBlock(t, block), a);
+    assert.deepEqual(spos.decodeBlock(a, block), t);
+  });
+  it("Encodes the differences with a shared bit width", () => {
+    const shared = Object.assign({}, block, { delta: "shared" });
+    const t = [100, 101, 101, 99, 110];
+    const a = "101" + "01100100" + "0101" + "00010000000001110110";
+    assert.equal(spos.encodeBlock(t, shared), a);
+    assert.deepEqual(spos.decodeBlock(a, shared), t);
+    assert.equal(spos.encodeBlock([7, 7, 7], shared), "011000001110000");
+  });
+  it("Encodes/Decodes signed integers, floats and fixed arrays", () => {
+    [true, "shared"].forEach((delta) => {
+      [false, true].forEach((fixed) => {
+        const signed = {
+          key: "readings",
+          type: "array",
+          length: 5,
+          fixed,
+          delta,
+          blocks: {
+            key: "reading",
+            type: "integer",
+            bits: 8,
+            signed: true,
+            offset: 3,
+          },
+        };
+        const t = [-2, -1, 0, 1, -125];
+        assert.deepEqual(
+          spos.decodeBlock(spos.encodeBlock(t, signed), signed),
+          t
+        );
+        const floats = Object.assign({}, signed, {
+          blocks: {
+            key: "reading",
+            type: "float",
+            bits: 10,
+            lower: -10,
+            upper: 10,
+          },
+        });
+        const decoded = spos.decodeBlock(
+          spos.encodeBlock([1.1, 1.2, 1.15, -3, 9.99], floats),
+          floats
+        );
+        [1.1, 1.2, 1.15, -3, 9.99].forEach((v, i) =>
+          assert.closeTo(decoded[i], v, 0.01)
+        );
+      });
+    });
+    assert.equal(spos.encodeBlock([], block), "000");
+    assert.deepEqual(spos.decodeBlock("000", block), []);
+    assert.deepEqual(spos.decodeBlock(spos.encodeBlock([3], block), block), [
+      3,
+    ]);
+  });
+  it("Calculates the size and traces delta arrays", () => {
+    const payloadSpec = {
+      name: "delta",
+      version: 0,
+      body: [block, { key: "ok", type: "boolean" }],
+    };
+    assert.deepEqual(spos.sizeOf(payloadSpec), {
+      minBits: 4,
+      maxBits: 3 + 8 + 5 * 17 + 1,
+      minBytes: 1,
+      maxBytes: 13,
+    });
+    const payloadData = { readings: [1, 2, 3], ok: true };
+    const decoded = spos.decode(
+      spos.encode(payloadData, payloadSpec),
+      payloadSpec,
+      { trace: true }
+    );
+    assert.deepEqual(decoded.body, payloadData);
+    assert.deepEqual(
+      decoded.trace.map((field) => [field.key, field.offset, field.bits]),
+      [
+        ["readings", 0, 3 + 8 + 3 + 3],
+        ["ok", 17, 1],
+      ]
+    );
+    assert.throws(
+      () =>
+        spos.encode({ readings: [1, 300], ok: true }, payloadSpec, {
+          strict: true,
+        }),
+      spos.StrictModeError
+    );
+  });
+  it("Throws an error for delta arrays of other blocks", () => {
+    const strings = Object.assign({}, block, {
+      blocks: { key: "s", type: "string", length: 2 },
+    });
+    assert.throws(() => spos.encodeBlock(["ab"], strings), RangeError);
+    const optional = Object.assign({}, block, {
+      blocks: { key: "n", type: "integer", bits: 8, optional: true },
+    });
+    assert.throws(() => spos.encodeBlock([1], optional), RangeError);
+    const invalid = Object.assign({}, block, { delta: "xor" });
+    assert.throws(() => spos.encodeBlock([1], invalid), RangeError);
+  });
+});
+
+describe("Encodes/Decodes $ref blocks", () => {
+  const definitions = {
+    reading: {
+      type: "object",
+      blocklist: [
+        { key: "temperature", type: "integer", bits: 6, offset: -20 },
+        { key: "humidity", type: "float", bits: 4, upper: 100 },
+      ],
+    },
+    fix: {
+      key: "fix",
+      type: "geo",
+      precision: 1000,
+    },
+    track: {
+      type: "array",
+      length: 3,
+      blocks: { $ref: "fix", key: "point" },
+    },
+  };
+  const payloadSpec = {
+    name: "refs",
+    version: 0,
+    definitions,
+    meta: { header: [{ $ref: "fix" }] },
+    body: [
+      { $ref: "reading", key: "indoor" },
+      { $ref: "reading", key: "outdoor", alias: "outside", optional: true },
+      { $ref: "track", key: "track" },
+      {
+        key: "event",
+        type: "union",
+        variants: [
+          { name: "sample", blocklist: [{ $ref: "reading", key: "value" }] },
+        ],
+      },
+    ],
+  };
+  it("Resolves references in blocklists, arrays, unions and headers", () => {
+    const fix = { lat: 10, lon: 20 };
+    const reading = { temperature: 21, humidity: 40 };
+    const payloadData = {
+      fix,
+      indoor: reading,
+      outdoor: { temperature: -5, humidity: 80 },
+      track: [fix, fix],
+      event: { type: "sample", value: reading },
+    };
+    const decoded = spos.decode(
+      spos.encode(payloadData, payloadSpec),
+      payloadSpec
+    );
+    assert.closeTo(decoded.meta.header.fix.lat, 10, 0.01);
+    assert.deepEqual(decoded.body.indoor, { temperature: 21, humidity: 40 });
+    assert.deepEqual(decoded.body.outside, { temperature: -5, humidity: 80 });
+    assert.equal(decoded.body.track.length, 2);
+    assert.closeTo(decoded.body.track[1].lon, 20, 0.01);
+    assert.deepEqual(decoded.body.event, {
+      type: "sample",
+      value: { temperature: 21, humidity: 40 },
+    });
+    assert.deepEqual(
+      spos
+        .layout(payloadSpec)
+        .filter((field) => field.key.startsWith("indoor"))
+        .map((field) => field.key),
+      ["indoor.temperature", "indoor.humidity"]
+    );
+  });
+  it("Resolves a top-level reference given to Block", () => {
+    const { Block } = require("../spos/blocks.js").blocks;
+    const block = new Block(
+      { $ref: "level", key: "k" },
+      { level: { type: "integer", bits: 3 } }
+    );
+    assert.equal(block.binEncode(5), "101");
+    assert.equal(block.binDecode("101"), 5);
+    const reading = new Block({ $ref: "reading", key: "r" }, definitions);
+    const t = { temperature: 21, humidity: 40 };
+    assert.deepEqual(reading.binDecode(reading.binEncode(t)), t);
+  });
+  it("Rejects recursive references", () => {
+    const recursive = {
+      name: "refs",
+      version: 0,
+      definitions: {
+        node: {
+          type: "object",
+          blocklist: [{ $ref: "children", key: "children" }],
+        },
+        children: {
+          type: "array",
+          length: 2,
+          blocks: { $ref: "node", key: "node" },
+        },
+      },
+      body: [{ key: "n", type: "integer", bits: 2 }],
+    };
+    assert.throws(() => spos.validatePayloadSpec(recursive), RangeError);
+    const self = {
+      name: "refs",
+      version: 0,
+      definitions: { a: { $ref: "a" } },
+      body: [],
+    };
+    assert.throws(
+      () => spos.validatePayloadSpec(self),
+      /Recursive definition a -> a/
+    );
+  });
+  it("Throws an error for malformed references", () => {
+    const spec = (body, defs = definitions) => ({
+      name: "refs",
+      version: 0,
+      definitions: defs,
+      body,
+    });
+    assert.throws(
+      () => spos.validatePayloadSpec(spec([{ $ref: "missing", key: "m" }])),
+      ReferenceError
+    );
+    assert.throws(
+      () =>
+        spos.validatePayloadSpec(
+          spec([{ $ref: "reading", key: "r", bits: 2 }])
+        ),
+      ReferenceError
+    );
+    assert.throws(
+      () => spos.validatePayloadSpec(spec([{ $ref: "reading" }])),
+      ReferenceError
+    );
+    assert.throws(() => spos.validatePayloadSpec(spec([], [])), RangeError);
+    assert.throws(
+      () => spos.validatePayloadSpec(spec([], { a: "integer" })),
+      RangeError
+    );
+    assert.throws(
+      () => spos.encodeBlock({}, { $ref: "reading", key: "r" }),
+      ReferenceError
+    );
+  });
+});
+
+describe("Round-trips nested blocks", () => {
+  const { Block } = require("../spos/blocks.js").blocks;
+  const { BitReader } = require("../spos/bits.js").bits;
+  // Block specifications with a small and a large value
+  const leaves = [
+    [{ type: "boolean" }, [false, true]],
+    [{ type: "binary", bits: 5 }, ["0", "10101"]],
+    [
+      { type: "bytes", length: 3, fixed: false },
+      [new Uint8Array(), new Uint8Array([1, 2, 3])],
+    ],
+    [{ type: "integer", bits: 6, signed: "zigzag" }, [0, -30]],
+    [{ type: "varint", code: "delta" }, [0, 123456]],
+    [{ type: "float", bits: 8, scale: "log", lower: 1, upper: 1000 }, [1, 900]],
+    [{ type: "ieee754", bits: 32 }, [0, 1.5]],
+    [{ type: "decimal", lower: -40, upper: 85, resolution: 0.1 }, [-40, 21.3]],
+    [{ type: "string", length: 4, fixed: false }, ["", "abcd"]],
+    [{ type: "string", length: 3, charset: "utf8" }, ["a", "é"]],
+    [{ type: "steps", steps: [0, 5], output: "both" }, [-1, 7]],
+    [{ type: "categories", categories: ["a", "b", "c"] }, ["a", "c"]],
+    [{ type: "flags", flags: ["x", "y"] }, [[], ["x", "y"]]],
+    [
+      { type: "timestamp", bits: 24, resolution: "min", output: "iso" },
+      ["1970-01-01T00:00:00.000Z", "1990-01-01T00:00:00.000Z"],
+    ],
+    [
+      { type: "geo", precision: 10000 },
+      [
+        { lat: 0, lon: 0 },
+        { lat: -45, lon: 120 },
+      ],
+    ],
+    [
+      {
+        type: "array",
+        length: 3,
+        delta: true,
+        blocks: { key: "d", type: "integer", bits: 8 },
+      },
+      [[], [1, 200, 3]],
+    ],
+  ];
+  // Wrappers of a block specification and its values
+  const wrappers = {
+    array: ([spec, [small, large]]) => [
+      {
+        type: "array",
+        length: 3,
+        blocks: Object.assign({ key: "item" }, spec),
+      },
+      [[small], [large, small, large]],
+    ],
+    fixed: ([spec, [small, large]]) => [
+      {
+        type: "array",
+        length: 2,
+        fixed: true,
+        blocks: Object.assign({ key: "item" }, spec),
+      },
+      [
+        [small, large],
+        [large, large],
+      ],
+    ],
+    object: ([spec, [small, large]]) => [
+      {
+        type: "object",
+        blocklist: [
+          Object.assign({ key: "value" }, spec),
+          { key: "tail", type: "integer", bits: 3 },
+        ],
+      },
+      [
+        { value: small, tail: 5 },
+        { value: large, tail: 2 },
+      ],
+    ],
+    optional: ([spec, [small, large]]) => [
+      Object.assign({ optional: true }, spec),
+      [small, large],
+    ],
+    union: ([spec, [small, large]]) => [
+      {
+        type: "union",
+        variants: [
+          { name: "empty", blocklist: [] },
+          { name: "value", blocklist: [Object.assign({ key: "value" }, spec)] },
+        ],
+      },
+      [{ type: "empty" }, { type: "value", value: large }],
+    ],
+  };
+  const cases = [];
+  leaves.forEach((leaf) => {
+    Object.entries(wrappers).forEach(([outer, wrapOuter]) => {
+      Object.entries(wrappers).forEach(([inner, wrapInner]) => {
+        cases.push([
+          `${outer}(${inner}(${leaf[0].type}))`,
+          wrapOuter(wrapInner(leaf)),
+        ]);
+      });
+    });
+  });
+  it("Consumes exactly the encoded bits of any nesting", () => {
+    cases.forEach(([name, [spec, values]]) => {
+      const block = new Block(Object.assign({ key: "root" }, spec));
+      const size = block.sizeBits();
+      values.forEach((value) => {
+        const bin = block.binEncode(value);
+        const reader = BitReader.fromBin(bin + "0110");
+        assert.equal(block.accumulateBits(reader), bin.length, name);
+        const decoded = block.consume(reader);
+        assert.equal(reader.offset, bin.length, name);
+        assert.isAtLeast(bin.length, size.min, name);
+        assert.isAtMost(bin.length, size.max, name);
+        assert.equal(block.binEncode(decoded), bin, name);
+        assert.deepEqual(
+          block.binDecode(block.binEncode(decoded)),
+          decoded,
+          name
+        );
+      });
+    });
+  });
+  it("Round-trips any nesting through payloads", () => {
+    cases.forEach(([name, [spec, values]]) => {
+      const payloadSpec = {
+        name: "nesting",
+        version: 0,
+        body: [
+          Object.assign({ key: "root" }, spec),
+          { key: "tail", type: "integer", bits: 3 },
+        ],
+      };
+      values.forEach((value) => {
+        const message = spos.encode({ root: value, tail: 6 }, payloadSpec);
+        const decoded = spos.decode(message, payloadSpec).body;
+        assert.equal(decoded.tail, 6, name);
+        assert.deepEqual(spos.encode(decoded, payloadSpec), message, name);
+      });
+    });
+  });
+});